@@ -0,0 +1,39 @@
+/**
+ * AbuseIPDB API Client
+ * Looks IP addresses up through the v2 check endpoint; domains have no API
+ * equivalent, so they are always scraped
+ */
+
+import { apiUrl, requestJson } from '../lib/api.js';
+
+// Reports counted towards totalReports, as far back as the API allows
+const MAX_AGE_DAYS = 365;
+
+/**
+ * Look up an IP address through the AbuseIPDB API
+ * @param {string} ip - The IP address to look up
+ * @param {object} options
+ * @param {string} options.key - The API key
+ * @param {string} options.baseUrl - The API root, e.g. 'https://api.abuseipdb.com/api/v2'
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<object>} Data in the shape scrapeAbuseIPDB() returns
+ * @throws {ApiError} When the request fails
+ */
+export async function lookupAbuseIPDB(ip, { key, baseUrl, signal }) {
+  const query = new URLSearchParams({ ipAddress: ip, maxAgeInDays: MAX_AGE_DAYS });
+  const body = await requestJson(apiUrl(baseUrl, `check?${query}`), { headers: { Key: key }, signal });
+  const data = body.data || {};
+
+  return {
+    confidenceScore: data.abuseConfidenceScore ?? null,
+    totalReports: data.totalReports ?? null,
+    lastReported: data.lastReportedAt || null,
+    isp: data.isp || null,
+    usageType: data.usageType || null,
+    domain: data.domain || null,
+    // Verbose mode would add the country name, but also every report
+    countryCode: data.countryCode || null,
+    hostname: data.hostnames?.[0] || null,
+    warning: null
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * IPInfo API Client
+ * Looks IP addresses up through the ipinfo.io JSON endpoint; the asn and
+ * privacy objects only come back on plans that include them
+ */
+
+import { apiUrl, requestJson } from '../lib/api.js';
+
+/**
+ * Look up an IP address through the IPInfo API
+ * @param {string} ip - The IP address to look up
+ * @param {object} options
+ * @param {string} options.key - The access token
+ * @param {string} options.baseUrl - The API root, e.g. 'https://ipinfo.io'
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<object>} Data in the shape scrapeIPInfo() returns
+ * @throws {ApiError} When the request fails
+ */
+export async function lookupIPInfo(ip, { key, baseUrl, signal }) {
+  const data = await requestJson(apiUrl(baseUrl, `${ip}/json`), {
+    headers: { Authorization: `Bearer ${key}` },
+    signal
+  });
+
+  // org reads "AS15169 Google LLC" - the ASN and the name are shown separately
+  const orgMatch = (data.org || '').match(/^(AS\d+)\s+(.*)$/);
+
+  return {
+    city: data.city || null,
+    region: data.region || null,
+    country: data.country || null,
+    org: data.asn?.name || (orgMatch ? orgMatch[2] : data.org) || null,
+    asn: data.asn?.asn || (orgMatch ? orgMatch[1] : null),
+    hostname: data.hostname || null,
+    postal: data.postal || null,
+    timezone: data.timezone || null,
+    loc: data.loc || null,
+    network: data.asn?.route ? data.asn.route.toLowerCase() : null,
+    asnType: data.asn?.type || null,
+    hosting: data.privacy?.hosting ?? null,
+    warning: data.bogon ? 'Bogon address - not routable on the internet' : null
+  };
+}
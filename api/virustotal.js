@@ -0,0 +1,72 @@
+/**
+ * VirusTotal API Client
+ * Looks IP addresses, domains and files up through the v3 API; report
+ * attributes are the ones the GUI loads, so they map onto the scraper's fields
+ */
+
+import { ApiError, apiUrl, requestJson } from '../lib/api.js';
+import { domainFromJson, fileFromJson, ipFromJson } from '../scrapers/virustotal.js';
+
+/**
+ * Fetch a report's attributes
+ * @param {string} path - The object path, e.g. 'ip_addresses/8.8.8.8'
+ * @param {object} options
+ * @param {string} options.key - The API key
+ * @param {string} options.baseUrl - The API root, e.g. 'https://www.virustotal.com/api/v3'
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<object|null>} `data.attributes`, or null when VirusTotal has no such object
+ */
+async function fetchAttributes(path, { key, baseUrl, signal }) {
+  try {
+    const body = await requestJson(apiUrl(baseUrl, path), { headers: { 'x-apikey': key }, signal });
+    return body.data?.attributes || {};
+  } catch (err) {
+    if (err instanceof ApiError && err.status === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Look up an IP address through the VirusTotal API
+ * @param {string} ip - The IP address to look up
+ * @param {object} options - Key, base URL and AbortSignal, see fetchAttributes()
+ * @returns {Promise<object>} Data in the shape scrapeVirusTotal() returns
+ * @throws {ApiError} When the request fails
+ */
+export async function lookupVirusTotalIP(ip, options) {
+  const attributes = await fetchAttributes(`ip_addresses/${ip}`, options);
+  return {
+    ...ipFromJson(attributes || {}),
+    warning: attributes ? null : 'IP not found in VirusTotal'
+  };
+}
+
+/**
+ * Look up a domain through the VirusTotal API
+ * @param {string} domain - The domain to look up
+ * @param {object} options - Key, base URL and AbortSignal, see fetchAttributes()
+ * @returns {Promise<object>} Data in the shape scrapeVirusTotalDomain() returns
+ * @throws {ApiError} When the request fails
+ */
+export async function lookupVirusTotalDomain(domain, options) {
+  const attributes = await fetchAttributes(`domains/${domain}`, options);
+  return {
+    ...domainFromJson(attributes || {}),
+    warning: attributes ? null : 'Domain not found in VirusTotal'
+  };
+}
+
+/**
+ * Look up a file hash through the VirusTotal API
+ * @param {string} hash - The MD5, SHA-1 or SHA-256 to look up
+ * @param {object} options - Key, base URL and AbortSignal, see fetchAttributes()
+ * @returns {Promise<object>} Data in the shape scrapeVirusTotalFile() returns
+ * @throws {ApiError} When the request fails
+ */
+export async function lookupVirusTotalFile(hash, options) {
+  const attributes = await fetchAttributes(`files/${hash}`, options);
+  return {
+    ...fileFromJson(attributes || {}),
+    warning: attributes ? null : 'File not found in VirusTotal'
+  };
+}
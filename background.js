@@ -3,15 +3,46 @@
  * Orchestrates the OSINT data collection from multiple sources
  */
 
-import { scrapeVirusTotal } from './scrapers/virustotal.js';
-import { scrapeIPInfo } from './scrapers/ipinfo.js';
-import { scrapeAbuseIPDB } from './scrapers/abuseipdb.js';
+import { detectIndicator, findIndicator } from './lib/indicators.js';
+import { refang } from './lib/extract.js';
+import { SOURCES, getSource, getSourceTimeouts, getSourcesFor } from './lib/sources.js';
+import { MAX_BULK_CONCURRENCY, getApiKeys, getSettings, migrateApiKeys } from './lib/settings.js';
+import { getCacheTtl, getCachedResult, pruneCache, setCachedResult } from './lib/cache.js';
+import { runQueue } from './lib/queue.js';
+import { analyzeResults } from './lib/analysis.js';
+import { addHistoryEntry, clearHistory, deleteHistoryEntry, updateHistoryResult } from './lib/history.js';
+import { getLookupJobs, removeLookupJob, saveLookupJob } from './lib/jobs.js';
+import { isRetryable, toErrorResult } from './lib/errors.js';
+import { closeOrphanedPages, setPageLimit } from './lib/cdp.js';
+import { clearEvidence, deleteEvidence, getEvidenceIds } from './lib/evidence.js';
+
+// The bulk job currently held in memory (mirrored to storage as `bulkJob`)
+let bulkJob = null;
+// Aborts the running bulk job's lookups
+let bulkController = null;
+
+// Lookups still running, keyed by ID: { controller, sourceControllers, retried }
+// where the controllers cancel the lookup or one source by the lookup's ID (a
+// reopened popup has no port to the lookup), and `retried` holds the results of
+// sources retried before it finished (merged into the record, see runLookupJob)
+const runningLookups = new Map();
+
+// Aborts the single-source retries in progress, keyed by `<source>:<indicator>`
+const retryControllers = new Map();
+
+// A restarted worker resumes a lookup this many times before giving up on it
+const MAX_RESUMES = 2;
+
+// Attempts at a source whose scrape timed out or hit a network error, and the
+// delay before the first retry (doubled for each one after)
+const RETRY_ATTEMPTS = 3;
+const RETRY_BASE_DELAY = 1000;
 
 // Listen for messages from the popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'lookup') {
-    handleLookup(request.ip)
-      .then(results => sendResponse(results))
+    handleLookup(request.indicator, request.force)
+      .then(record => sendResponse(record))
       .catch(err => sendResponse({ error: err.message }));
 
     // Return true to indicate we'll send a response asynchronously
@@ -19,95 +50,931 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 
   if (request.action === 'retry') {
-    handleRetry(request.ip, request.source)
+    handleRetry(request.indicator, request.source, {
+      jobId: request.jobId,
+      lookupId: request.lookupId,
+      force: request.force
+    })
       .then(result => sendResponse(result))
       .catch(err => sendResponse({ error: err.message }));
     return true;
   }
+
+  if (request.action === 'cancelLookup') {
+    sendResponse(cancelLookup(request.id, request.source));
+    return;
+  }
+
+  if (request.action === 'cancelRetry') {
+    sendResponse(cancelRetry(request.indicator, request.source));
+    return;
+  }
+
+  if (request.action === 'bulkLookup') {
+    handleBulkLookup(request.indicators, request.concurrency)
+      .then(job => sendResponse(job))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  // The popup wakes the worker when it finds an unfinished job; a fresh worker
+  // recovers on startup, so this only waits for that to finish
+  if (request.action === 'resume') {
+    recovery.then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  if (request.action === 'cancelBulk') {
+    sendResponse(cancelBulkJob());
+    return;
+  }
+
+  if (request.action === 'deleteHistory') {
+    // Deleting history also drops the captured pages behind it
+    const done = request.id
+      ? deleteHistoryEntry(request.id).then(deleteUnshownEvidence)
+      : Promise.all([clearHistory(), clearEvidence()]);
+    done
+      .then(() => sendResponse({ ok: true }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+});
+
+// Streaming lookups: the popup opens a `lookup` port, sends { action: 'lookup', indicator, force }
+// and receives { type: 'started', id } with the lookup ID, { type: 'stage' | 'result', source, ... }
+// as each scraper progresses, then { type: 'done', record } or { type: 'error', error }.
+// Sending { action: 'cancel', source? } stops one source, or the whole lookup without a source
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'lookup') return;
+
+  const lookupController = new AbortController();
+  const sourceControllers = Object.fromEntries(SOURCES.map(source => [source.id, new AbortController()]));
+
+  // The popup may close mid-lookup; the lookup still finishes and is saved
+  let connected = true;
+  port.onDisconnect.addListener(() => {
+    connected = false;
+  });
+  const post = (message) => {
+    if (connected) port.postMessage(message);
+  };
+
+  port.onMessage.addListener((request) => {
+    if (request.action === 'cancel') {
+      if (request.source) {
+        sourceControllers[request.source]?.abort();
+      } else {
+        lookupController.abort();
+      }
+      return;
+    }
+
+    if (request.action !== 'lookup') return;
+
+    handleLookup(request.indicator, request.force, {
+      onStart: id => post({ type: 'started', id }),
+      onStage: (source, stage) => post({ type: 'stage', source, stage }),
+      onResult: (source, result) => post({ type: 'result', source, result }),
+      signal: lookupController.signal,
+      sourceSignals: Object.fromEntries(
+        Object.entries(sourceControllers).map(([id, controller]) => [id, controller.signal])
+      )
+    })
+      .then(record => post({ type: 'done', record }))
+      .catch(err => post({ type: 'error', error: err.message }));
+  });
+});
+
+// Context menu entry for selected text and links
+const CONTEXT_MENU_ID = 'postevent-lookup';
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_ID,
+    title: 'Look up in PostEvent OSINT',
+    contexts: ['selection', 'link']
+  });
+
+  migrateApiKeys().catch(err => {
+    console.warn('Failed to move API keys out of the synced settings:', err);
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info) => {
+  if (info.menuItemId !== CONTEXT_MENU_ID) return;
+
+  handleContextLookup(info).catch(err => {
+    console.error('Context menu lookup failed:', err);
+  });
+});
+
+// Clicking a finished lookup's notification opens its result page
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith('lookup-')) return;
+
+  chrome.tabs.create({ url: chrome.runtime.getURL(`popup/popup.html?lookup=${notificationId}`) });
+  chrome.notifications.clear(notificationId);
 });
 
 /**
- * Handle IP lookup request
- * Runs all scrapers in parallel and aggregates results
- * @param {string} ip - The IP address to look up
- * @returns {Promise<object>} Aggregated results from all sources
+ * Handle indicator lookup request
+ * Runs all scrapers for the indicator type in parallel and aggregates results
+ * @param {string} indicator - The IP address, domain or file hash to look up
+ * @param {boolean} [force] - Skip the cache and scrape every source again
+ * @param {object} [options] - Progress callbacks and cancellation, see runScrapers
+ * @param {string} [options.origin] - What started the lookup ('popup' or 'context')
+ * @param {function(string): void} [options.onStart] - Called with the lookup ID once the job is saved
+ * @returns {Promise<object>} The lookup record: { id, indicator, type, timestamp, results, risk, discrepancies, sourceUrls }
  */
-async function handleLookup(ip) {
-  console.log(`Starting OSINT lookup for IP: ${ip}`);
+async function handleLookup(indicator, force = false, options = {}) {
+  const detected = detectIndicator(indicator);
+  if (!detected) {
+    throw new Error('Invalid IP address, domain or file hash');
+  }
+
+  const { type, value } = detected;
+  const sources = getSourcesFor(type, await getSettings());
+  if (!sources.length) {
+    throw new Error(`Every source for ${type} lookups is turned off in the options`);
+  }
+
+  console.log(`Starting OSINT lookup for ${type}: ${value}`);
 
-  // Store the search query (non-blocking, log errors)
-  chrome.storage.local.set({ lastSearch: ip }).catch(err => {
-    console.warn('Failed to save search query:', err);
+  const timestamp = Date.now();
+  const job = {
+    id: `lookup-${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+    indicator: value,
+    type,
+    force,
+    timestamp,
+    origin: options.origin || 'popup',
+    sources: sources.map(source => source.id),
+    results: {},
+    resumes: 0
+  };
+
+  // Persist the job before scraping so a worker stopped mid-lookup can resume it
+  await saveLookupJob(job).catch(err => {
+    console.warn('Failed to save lookup job:', err);
   });
+  options.onStart?.(job.id);
 
-  // Run all scrapers in parallel
-  const [virustotalResult, ipinfoResult, abuseipdbResult] = await Promise.allSettled([
-    scrapeVirusTotal(ip),
-    scrapeIPInfo(ip),
-    scrapeAbuseIPDB(ip)
-  ]);
+  return runLookupJob(job, options);
+}
 
-  // Process results
-  const results = {
-    virustotal: processResult(virustotalResult, 'VirusTotal'),
-    ipinfo: processResult(ipinfoResult, 'IPInfo'),
-    abuseipdb: processResult(abuseipdbResult, 'AbuseIPDB')
+/**
+ * Run a persisted lookup job to its record
+ * Each source's result is saved to the job as it arrives, and sources the job
+ * already has results for (when resuming) are not scraped again
+ * @param {object} job - The job, see lib/jobs.js
+ * @param {object} [options] - Progress callbacks and cancellation, see runScrapers
+ * @returns {Promise<object>} The lookup record
+ */
+async function runLookupJob(job, options = {}) {
+  const { onResult = () => {} } = options;
+
+  // Cancellable by ID as well as by the caller's signals, see cancelLookup()
+  const running = {
+    controller: new AbortController(),
+    sourceControllers: Object.fromEntries(SOURCES.map(source => [source.id, new AbortController()])),
+    // Sources retried from the popup while the lookup runs (see handleRetry)
+    retried: {}
+  };
+  runningLookups.set(job.id, running);
+
+  const signal = AbortSignal.any([options.signal, running.controller.signal].filter(Boolean));
+  const sourceSignals = Object.fromEntries(Object.entries(running.sourceControllers).map(([id, controller]) => [
+    id, AbortSignal.any([options.sourceSignals?.[id], controller.signal].filter(Boolean))
+  ]));
+
+  let record;
+  try {
+    record = await runLookup(job.type, job.indicator, job.force, {
+      ...options,
+      signal,
+      sourceSignals,
+      id: job.id,
+      timestamp: job.timestamp,
+      results: job.results,
+      retried: running.retried,
+      onResult: (source, result) => {
+        job.results[source] = result;
+        saveLookupJob(job).catch(err => {
+          console.warn('Failed to save lookup job:', err);
+        });
+        onResult(source, result);
+      }
+    });
+  } finally {
+    runningLookups.delete(job.id);
+  }
+
+  if (signal.aborted) {
+    console.log('OSINT lookup cancelled:', record);
+  } else {
+    // Store the lookup so the popup can show it when reopened, before dropping
+    // the job a reopened popup may be following
+    await chrome.storage.local.set({ lastLookup: record }).catch(err => {
+      console.warn('Failed to save results:', err);
+    });
+    console.log('OSINT lookup complete:', record);
+  }
+
+  removeLookupJob(job.id).catch(err => {
+    console.warn('Failed to remove lookup job:', err);
+  });
+
+  return record;
+}
+
+/**
+ * Pick up the lookups a stopped worker left unfinished
+ * Sources that finished keep their results; a job that keeps getting
+ * interrupted is finished with its missing sources marked as interrupted
+ * @returns {Promise<void>}
+ */
+async function resumeLookupJobs() {
+  const jobs = Object.values(await getLookupJobs());
+
+  for (const job of jobs) {
+    if ((job.resumes || 0) >= MAX_RESUMES) {
+      job.sources.forEach(source => {
+        if (!job.results[source]) {
+          job.results[source] = { error: 'Lookup was interrupted by an extension restart', interrupted: true };
+        }
+      });
+    } else {
+      job.resumes = (job.resumes || 0) + 1;
+    }
+    await saveLookupJob(job);
+
+    console.log(`Resuming lookup of ${job.indicator} (${Object.keys(job.results).length}/${job.sources.length} sources done)`);
+
+    runLookupJob(job)
+      .then(record => {
+        if (job.origin === 'context') return notifyLookup(record);
+      })
+      .catch(err => {
+        console.warn(`Failed to resume lookup of ${job.indicator}:`, err);
+      });
+  }
+}
+
+/**
+ * Look up the indicator in a context menu click and report it in a notification
+ * Links are looked up by their host, selections by the first indicator in them
+ * @param {chrome.contextMenus.OnClickData} info - The click details
+ * @returns {Promise<void>}
+ */
+async function handleContextLookup(info) {
+  let indicator = null;
+  if (info.linkUrl) {
+    try {
+      indicator = detectIndicator(new URL(info.linkUrl).hostname);
+    } catch {
+      indicator = null;
+    }
+  }
+  if (!indicator && info.selectionText) {
+    // Selections from threat reports are often defanged (evil[.]com)
+    indicator = findIndicator(refang(info.selectionText));
+  }
+
+  const progressId = `progress-${Date.now()}`;
+
+  if (!indicator) {
+    await notify(progressId, 'PostEvent OSINT', 'No IP address, domain or file hash found in the selection');
+    return;
+  }
+
+  await notify(progressId, `Looking up ${indicator.value}`, 'Collecting data from every source...');
+
+  try {
+    const record = await handleLookup(indicator.value, false, { origin: 'context' });
+    await notifyLookup(record);
+  } catch (err) {
+    await notify(`error-${Date.now()}`, `Lookup of ${indicator.value} failed`, err.message || 'Unknown error');
+  } finally {
+    chrome.notifications.clear(progressId);
+  }
+}
+
+/**
+ * Show a basic notification
+ * @param {string} id - The notification ID
+ * @param {string} title - The title
+ * @param {string} message - The body text
+ * @returns {Promise<string>}
+ */
+function notify(id, title, message) {
+  return chrome.notifications.create(id, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title,
+    message
+  });
+}
+
+/**
+ * Report a finished lookup's verdict in a notification
+ * The notification is keyed by the lookup ID so a click can open it
+ * @param {object} record - The lookup record
+ * @returns {Promise<string>}
+ */
+function notifyLookup(record) {
+  const { verdict, score, reasons } = record.risk;
+  const details = reasons.slice(0, 2).map(reason => reason.text).join('\n');
+
+  return notify(
+    record.id,
+    `${record.indicator}: ${verdict} (${score}/100)`,
+    `${details || 'No risk signals found'}\nClick to view the full results`
+  );
+}
+
+/**
+ * Look up an indicator on every source, analyze the results and record it in the history
+ * A lookup cancelled as a whole still returns its record but stays out of the history
+ * @param {string} type - The indicator type (ip, domain, hash)
+ * @param {string} value - The canonical indicator
+ * @param {boolean} [force] - Skip the cache and scrape every source again
+ * @param {object} [options] - Progress callbacks and cancellation, see runScrapers
+ * @param {string} [options.id] - Record ID, when the lookup was persisted as a job
+ * @param {number} [options.timestamp] - When the lookup started
+ * @param {object} [options.retried] - Results of sources retried while the lookup ran,
+ *   keyed by source ID; they replace the results the lookup got
+ * @returns {Promise<object>} The lookup record
+ */
+async function runLookup(type, value, force = false, options = {}) {
+  const { timestamp = Date.now() } = options;
+  const results = await runScrapers(type, value, force, options);
+  const settings = await getSettings();
+  Object.assign(results, options.retried);
+
+  const record = {
+    id: options.id || `lookup-${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+    indicator: value,
+    type,
+    timestamp,
+    results,
+    ...analyzeResults(results, settings),
+    sourceUrls: Object.fromEntries(
+      getSourcesFor(type, settings).map(source => [source.id, source.types[type].url(value)])
+    )
   };
 
-  // Store results (non-blocking, log errors)
-  chrome.storage.local.set({ lastResults: results }).catch(err => {
-    console.warn('Failed to save results:', err);
+  if (options.signal?.aborted) return record;
+
+  // Non-blocking, log errors
+  addHistoryEntry(record, settings.historyLimit).catch(err => {
+    console.warn('Failed to save history entry:', err);
   });
 
-  console.log('OSINT lookup complete:', results);
+  return record;
+}
+
+/**
+ * Look an indicator up through a source's official API
+ * @param {object} source - The source definition from the registry
+ * @param {string} type - The indicator type (ip, domain, hash)
+ * @param {string} value - The canonical indicator
+ * @param {object} [config] - The source's API settings, { key, baseUrl }
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<{data: object|null, fallback: string|null}>} The result, marked
+ *   `via: 'api'`, or no data and why the API was not usable (null when the source
+ *   has no API for the type or no key is set)
+ */
+async function lookupViaApi(source, type, value, config, signal) {
+  const lookup = source.types[type].api;
+  if (!lookup || !config?.key) return { data: null, fallback: null };
+
+  try {
+    const data = await lookup(value, { key: config.key, baseUrl: config.baseUrl, signal });
+    return { data: { ...data, via: 'api' }, fallback: null };
+  } catch (err) {
+    const reason = err.quotaExceeded ? 'API quota exhausted' : err.message;
+    if (!signal?.aborted) console.warn(`${source.name} API lookup failed, scraping instead:`, err);
+    return { data: null, fallback: reason };
+  }
+}
+
+/**
+ * Get a source's result, from the cache when it is fresh enough
+ * @param {object} source - The source definition from the registry
+ * @param {string} type - The indicator type (ip, domain, hash)
+ * @param {string} value - The canonical indicator
+ * @param {boolean} [force] - Skip the cache and scrape again
+ * @param {function(string): void} [onStage] - Called with each scraper stage
+ * @param {AbortSignal} [signal] - Cancels the scrape
+ * @returns {Promise<object>} The (possibly cached) result, or a cancelled result
+ */
+async function runSource(source, type, value, force = false, onStage = () => {}, signal) {
+  const settings = await getSettings();
+  const ttl = getCacheTtl(source, settings);
+
+  if (!force) {
+    const cached = await getCachedResult(source.id, value, ttl).catch(err => {
+      console.warn(`Failed to read ${source.name} cache:`, err);
+      return null;
+    });
+    if (cached) {
+      console.log(`Serving ${source.name} result for ${value} from cache`);
+      return cached;
+    }
+  }
+
+  if (signal?.aborted) return cancelledResult();
 
+  const evidence = settings.captureEvidence;
+  const handoff = settings.challengeHandoff;
+  const timeouts = getSourceTimeouts(source, settings);
+
+  // A handed-off challenge focuses its tab, which closes the popup - say why
+  let challengeNotified = false;
+  const reportStage = stage => {
+    if (stage === 'challenge' && !challengeNotified) {
+      challengeNotified = true;
+      notify(
+        `challenge-${source.id}-${Date.now()}`,
+        `${source.name} wants a CAPTCHA solved`,
+        `Solve it in the window that just opened - the lookup of ${value} carries on once it is done`
+      ).catch(err => {
+        console.warn('Failed to show challenge notification:', err);
+      });
+    }
+    onStage(stage);
+  };
+
+  // Scrapes wait in createPage() while every pooled tab is in use
+  setPageLimit(settings.pageLimit);
+
+  // Sources with an API key are asked through their API first, and scraped
+  // when there is no key or the API fails (quota used up, bad key, outage)
+  const apiKeys = await getApiKeys();
+  const apiConfig = { ...settings.api?.[source.id], key: apiKeys[source.id] };
+  const { data: apiData, fallback } = await lookupViaApi(source, type, value, apiConfig, signal);
+  if (signal?.aborted) return cancelledResult();
+
+  let data = apiData;
+  if (!data) {
+    // Timeouts and network failures are often transient, so they are retried
+    // with exponential backoff before the error is reported
+    for (let attempt = 1; ; attempt++) {
+      // A cancelled scrape ends in whatever error closing its tab caused - report it
+      // as cancelled and keep it out of the cache
+      data = await source.types[type].scrape(value, { onStage: reportStage, signal, evidence, handoff, timeouts }).catch(err => {
+        if (!signal?.aborted) throw err;
+      });
+      if (signal?.aborted) return cancelledResult();
+
+      if (!data?.error || !isRetryable(data.errorType) || attempt >= RETRY_ATTEMPTS) {
+        if (data?.error && attempt > 1) data.attempts = attempt;
+        break;
+      }
+
+      const delay = RETRY_BASE_DELAY * 2 ** (attempt - 1);
+      console.log(`${source.name} failed (${data.errorType}), retrying in ${delay}ms`);
+      reportStage('retrying');
+      await sleep(delay, signal);
+      if (signal?.aborted) return cancelledResult();
+    }
+
+    if (fallback && data) data.apiFallback = fallback;
+  }
+
+  if (ttl) {
+    setCachedResult(source.id, value, data).catch(err => {
+      console.warn(`Failed to cache ${source.name} result:`, err);
+    });
+  }
+
+  return data;
+}
+
+/**
+ * Run the scraper of every source that supports the indicator type in parallel
+ * @param {string} type - The indicator type (ip, domain, hash)
+ * @param {string} value - The canonical indicator
+ * @param {boolean} [force] - Skip the cache and scrape every source again
+ * @param {object} [options] - Progress callbacks and cancellation
+ * @param {function(string, string): void} [options.onStage] - Called with (source ID, stage)
+ * @param {function(string, object): void} [options.onResult] - Called with (source ID, result)
+ *   as soon as each source settles
+ * @param {AbortSignal} [options.signal] - Cancels every source
+ * @param {object} [options.sourceSignals] - AbortSignals keyed by source ID, each cancelling one source
+ * @param {object} [options.results] - Results a resumed lookup already has, reused without scraping
+ * @returns {Promise<object>} Results keyed by source ID
+ */
+async function runScrapers(type, value, force = false, options = {}) {
+  const { onStage = () => {}, onResult = () => {}, signal, sourceSignals = {}, results: previous = {} } = options;
+  // Sources switched off in the options sit the lookup out
+  const sources = getSourcesFor(type, await getSettings());
+
+  const processed = await Promise.all(sources.map(source => {
+    // Sources a resumed lookup already finished are not scraped again
+    if (previous[source.id]) {
+      onResult(source.id, previous[source.id]);
+      return previous[source.id];
+    }
+
+    return runSource(
+      source, type, value, force,
+      stage => onStage(source.id, stage),
+      AbortSignal.any([signal, sourceSignals[source.id]].filter(Boolean))
+    )
+      .then(
+        data => ({ status: 'fulfilled', value: data }),
+        reason => ({ status: 'rejected', reason })
+      )
+      .then(settled => {
+        const result = processResult(settled, source.name);
+        onResult(source.id, result);
+        return result;
+      });
+  }));
+
+  // Process results
+  const results = {};
+  sources.forEach((source, index) => {
+    results[source.id] = processed[index];
+  });
   return results;
 }
 
+/**
+ * Handle bulk lookup request
+ * Starts a queued job over many indicators and returns immediately; rows are
+ * filled in as each lookup finishes and mirrored to storage as `bulkJob`
+ * @param {string[]} indicators - The indicators to look up
+ * @param {number} [concurrency] - Lookups to run at once (defaults to the setting)
+ * @returns {Promise<object>} The job as first saved, with every row queued
+ */
+async function handleBulkLookup(indicators, concurrency) {
+  const rows = [];
+  const seen = new Set();
+  for (const indicator of indicators || []) {
+    const detected = detectIndicator(indicator);
+    if (detected && !seen.has(detected.value)) {
+      seen.add(detected.value);
+      rows.push({ indicator: detected.value, type: detected.type, status: 'queued', results: {} });
+    }
+  }
+
+  if (!rows.length) {
+    throw new Error('No valid indicators to look up');
+  }
+
+  if (bulkJob?.status === 'running') {
+    throw new Error('A bulk lookup is already running');
+  }
+
+  const settings = await getSettings();
+  const limit = Math.max(1, Math.min(MAX_BULK_CONCURRENCY, parseInt(concurrency) || settings.bulkConcurrency));
+
+  const job = {
+    id: `bulk-${Date.now()}`,
+    status: 'running',
+    startedAt: Date.now(),
+    concurrency: limit,
+    rows
+  };
+  bulkJob = job;
+  await saveBulkJob();
+
+  console.log(`Starting bulk lookup of ${rows.length} indicators, ${limit} at a time`);
+  startBulkJob(job);
+
+  return job;
+}
+
+/**
+ * Run the queued rows of a bulk job in the background
+ * Each row's sources are saved as they finish, so a resumed row only scrapes
+ * the sources it is missing
+ * @param {object} job - The bulk job
+ */
+function startBulkJob(job) {
+  const controller = new AbortController();
+  bulkController = controller;
+
+  const queued = job.rows.filter(row => row.status === 'queued');
+
+  runQueue(queued, job.concurrency, async row => {
+    // Rows still queued when the job was cancelled are already marked
+    if (controller.signal.aborted) return;
+
+    row.status = 'running';
+    saveBulkJob();
+
+    const record = await runLookup(row.type, row.indicator, false, {
+      signal: controller.signal,
+      results: row.results,
+      onResult: (source, result) => {
+        row.results[source] = result;
+        saveBulkJob();
+      }
+    });
+    if (controller.signal.aborted) {
+      row.status = 'cancelled';
+      saveBulkJob();
+      return;
+    }
+
+    row.lookupId = record.id;
+    row.timestamp = record.timestamp;
+    row.results = record.results;
+    row.risk = record.risk;
+    row.discrepancies = record.discrepancies;
+    row.sourceUrls = record.sourceUrls;
+    row.status = 'done';
+    saveBulkJob();
+  }).then(() => {
+    if (job.status === 'running') job.status = 'done';
+    job.finishedAt = Date.now();
+    if (bulkController === controller) bulkController = null;
+    saveBulkJob();
+    console.log(`Bulk lookup ${job.status === 'done' ? 'complete' : 'cancelled'}`);
+  });
+}
+
+/**
+ * Pick up the bulk job a stopped worker left running
+ * Rows that were in flight go back in the queue with the sources they finished
+ * @returns {Promise<void>}
+ */
+async function resumeBulkJob() {
+  const { bulkJob: stored } = await chrome.storage.local.get('bulkJob');
+  // A bulk lookup started since this worker woke up takes precedence
+  if (bulkJob || stored?.status !== 'running') return;
+
+  stored.rows.forEach(row => {
+    if (row.status === 'running') row.status = 'queued';
+  });
+  bulkJob = stored;
+  await saveBulkJob();
+
+  const remaining = stored.rows.filter(row => row.status === 'queued').length;
+  console.log(`Resuming bulk lookup, ${remaining} of ${stored.rows.length} indicators left`);
+  startBulkJob(stored);
+}
+
+/**
+ * Cancel the running bulk job
+ * Queued rows are marked cancelled straight away; running lookups close their
+ * tabs and their rows are marked as they stop
+ * @returns {object} { ok: true } or { error }
+ */
+function cancelBulkJob() {
+  if (bulkJob?.status !== 'running' || !bulkController) {
+    return { error: 'No bulk lookup is running' };
+  }
+
+  bulkJob.status = 'cancelled';
+  bulkJob.rows.forEach(row => {
+    if (row.status === 'queued') row.status = 'cancelled';
+  });
+  bulkController.abort();
+  saveBulkJob();
+
+  console.log('Cancelling bulk lookup');
+  return { ok: true };
+}
+
+/**
+ * Get a bulk job to patch, from storage when a restarted worker no longer holds it
+ * A finished job read from storage becomes the in-memory one, so retries of
+ * several of its rows at once patch the same copy
+ * @param {string} jobId - The bulk job ID
+ * @returns {Promise<object|null>} The job, or null once another job replaced it
+ */
+async function getBulkJob(jobId) {
+  if (!bulkJob) {
+    const { bulkJob: stored } = await chrome.storage.local.get('bulkJob');
+    // A running job is left for resumeBulkJob(), and another retry may have loaded it meanwhile
+    if (!bulkJob && stored && stored.status !== 'running') bulkJob = stored;
+  }
+  return bulkJob?.id === jobId ? bulkJob : null;
+}
+
+/**
+ * Delete captures a deleted history entry left behind
+ * The last lookup and the bulk table show results outside the history, so
+ * captures they still refer to are kept
+ * @param {string[]} ids - The evidence IDs no history entry refers to any more
+ * @returns {Promise<void>}
+ */
+async function deleteUnshownEvidence(ids) {
+  if (!ids.length) return;
+
+  const { lastLookup, bulkJob: storedJob } = await chrome.storage.local.get(['lastLookup', 'bulkJob']);
+  const job = bulkJob || storedJob;
+  const shown = new Set([lastLookup, ...(job?.rows || [])].flatMap(getEvidenceIds));
+  await deleteEvidence(ids.filter(id => !shown.has(id)));
+}
+
+/**
+ * Mirror the bulk job to storage so the popup can render it (non-blocking, log errors)
+ * @returns {Promise<void>}
+ */
+function saveBulkJob() {
+  return chrome.storage.local.set({ bulkJob }).catch(err => {
+    console.warn('Failed to save bulk job:', err);
+  });
+}
+
 /**
  * Handle retry request for a single source
- * @param {string} ip - The IP address to look up
+ * @param {string} indicator - The IP address, domain or file hash to look up
  * @param {string} source - The source to retry (virustotal, ipinfo, abuseipdb)
+ * @param {object} [options]
+ * @param {string} [options.jobId] - Bulk job whose row should receive the result
+ * @param {string} [options.lookupId] - Lookup record (and history entry) to patch
+ * @param {boolean} [options.force] - Skip the cache and scrape again
  * @returns {Promise<object>} Result from the source
  */
-async function handleRetry(ip, source) {
-  const scrapers = {
-    virustotal: scrapeVirusTotal,
-    ipinfo: scrapeIPInfo,
-    abuseipdb: scrapeAbuseIPDB
-  };
+async function handleRetry(indicator, source, options = {}) {
+  const { jobId, force = false } = options;
+
+  const detected = detectIndicator(indicator);
+  if (!detected) {
+    return { error: 'Invalid IP address, domain or file hash' };
+  }
 
-  const scraper = scrapers[source];
-  if (!scraper) {
+  const { type, value } = detected;
+  const definition = getSource(source);
+  if (!definition?.types[type]) {
     return { error: 'Unknown source' };
   }
 
-  console.log(`Retrying ${source} lookup for IP: ${ip}`);
+  console.log(`Retrying ${source} lookup for ${type}: ${value}`);
+
+  // The popup cancels the retry by its source and indicator, see cancelRetry()
+  const retryKey = `${source}:${value}`;
+  const controller = new AbortController();
+  retryControllers.set(retryKey, controller);
 
+  let result;
   try {
-    return await scraper(ip);
+    result = await runSource(definition, type, value, force, () => {}, controller.signal);
   } catch (err) {
     console.error(`${source} retry failed:`, err);
-    return { error: err.message || 'Retry failed' };
+    result = toErrorResult(err, definition.name);
+  } finally {
+    if (retryControllers.get(retryKey) === controller) retryControllers.delete(retryKey);
+  }
+
+  const settings = await getSettings();
+
+  // Patch the bulk table row this retry came from
+  const job = jobId && await getBulkJob(jobId);
+  const row = job && job.rows.find(r => r.indicator === value);
+  if (row) {
+    row.results[source] = result;
+    Object.assign(row, analyzeResults(row.results, settings));
+    saveBulkJob();
+  }
+
+  // Patch the lookup record the result belongs to (non-blocking, log errors);
+  // a lookup still running takes the result into its record when it finishes
+  const lookupId = options.lookupId || (row && row.lookupId);
+  const running = lookupId && runningLookups.get(lookupId);
+  if (running) {
+    running.retried[source] = result;
+  } else if (lookupId) {
+    patchLookupRecord(lookupId, source, result, settings).catch(err => {
+      console.warn('Failed to save retry result:', err);
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Cancel a running lookup, or one of its sources, by its ID
+ * Lets a popup reopened mid-lookup cancel it without the port that started it
+ * @param {string} id - The lookup ID
+ * @param {string} [source] - The source to stop; the whole lookup without one
+ * @returns {object} { ok: true } or { error }
+ */
+function cancelLookup(id, source) {
+  const running = runningLookups.get(id);
+  if (!running) {
+    return { error: 'The lookup is no longer running' };
   }
+
+  if (source) {
+    running.sourceControllers[source]?.abort();
+  } else {
+    running.controller.abort();
+  }
+  console.log(`Cancelling ${source || 'every source'} of lookup ${id}`);
+  return { ok: true };
+}
+
+/**
+ * Cancel a single-source retry in progress
+ * The retry closes its tab and answers with a cancelled result
+ * @param {string} indicator - The indicator being retried
+ * @param {string} source - The source being retried
+ * @returns {object} { ok: true } or { error }
+ */
+function cancelRetry(indicator, source) {
+  const detected = detectIndicator(indicator);
+  const controller = detected && retryControllers.get(`${source}:${detected.value}`);
+  if (!controller) {
+    return { error: 'No retry is running' };
+  }
+
+  controller.abort();
+  console.log(`Cancelling ${source} retry for ${detected.value}`);
+  return { ok: true };
+}
+
+/**
+ * Replace one source's result in the stored lookup and its history entry, and reanalyze them
+ * @param {string} lookupId - The lookup record ID
+ * @param {string} source - The source ID
+ * @param {object} result - The new result
+ * @param {object} settings - The current settings
+ * @returns {Promise<void>}
+ */
+async function patchLookupRecord(lookupId, source, result, settings) {
+  const { lastLookup } = await chrome.storage.local.get('lastLookup');
+  if (lastLookup?.id === lookupId) {
+    lastLookup.results[source] = result;
+    Object.assign(lastLookup, analyzeResults(lastLookup.results, settings));
+    await chrome.storage.local.set({ lastLookup });
+  }
+
+  await updateHistoryResult(lookupId, source, result, settings);
+}
+
+/**
+ * Result recorded for a source whose lookup was cancelled
+ * It reads as an error everywhere results are shown, scored or exported
+ * @returns {object}
+ */
+function cancelledResult() {
+  return { error: 'Cancelled', cancelled: true };
+}
+
+/**
+ * Wait before a retry, ending early if the lookup is cancelled
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Ends the wait when it fires
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timeoutId = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
 }
 
 /**
  * Process a Promise.allSettled result
  * @param {PromiseSettledResult} result - The settled promise result
  * @param {string} source - Name of the source for error messages
- * @returns {object} The value or an error object
+ * @returns {object} The value or a classified error result (see lib/errors.js)
  */
 function processResult(result, source) {
   if (result.status === 'fulfilled') {
     return result.value;
   } else {
     console.error(`${source} scraper failed:`, result.reason);
-    return {
-      error: `Failed to fetch data from ${source}: ${result.reason?.message || 'Unknown error'}`
-    };
+    return toErrorResult(result.reason, source);
   }
 }
 
+// Recover from a stopped worker: close the tabs it left open, then resume its jobs
+const recovery = closeOrphanedPages()
+  .then(closed => {
+    if (closed) console.log(`Closed ${closed} tabs left open by a stopped worker`);
+  })
+  .then(resumeLookupJobs)
+  .then(resumeBulkJob)
+  .catch(err => {
+    console.warn('Failed to recover unfinished jobs:', err);
+  });
+
+// Drop cache entries that expired while the worker was stopped
+getSettings()
+  .then(settings => {
+    const ttls = Object.fromEntries(SOURCES.map(source => [source.id, getCacheTtl(source, settings)]));
+    return pruneCache(ttls);
+  })
+  .then(removed => {
+    if (removed) console.log(`Pruned ${removed} expired cache entries`);
+  })
+  .catch(err => {
+    console.warn('Failed to prune cache:', err);
+  });
+
 // Log when the service worker starts
 console.log('PostEvent OSINT background service worker initialized');
@@ -0,0 +1,106 @@
+import { getSource } from '../lib/sources.js';
+import { captureBytes, getEvidence, sha256 } from '../lib/evidence.js';
+import { escapeHtml } from '../popup/utils.js';
+
+// DOM Elements
+const evidenceStatus = document.getElementById('evidence-status');
+const evidenceDetails = document.getElementById('evidence-details');
+const evidenceMeta = document.getElementById('evidence-meta');
+const evidenceCaptures = document.getElementById('evidence-captures');
+const evidenceScreenshot = document.getElementById('evidence-screenshot');
+
+// Each capture kind with its label and download extension
+const CAPTURES = [
+  { kind: 'screenshot', label: 'Screenshot', extension: 'png' },
+  { kind: 'snapshot', label: 'MHTML snapshot', extension: 'mhtml' }
+];
+
+// A data row like the popup cards use
+function dataRow(label, value, tone = '') {
+  return `
+    <div class="data-row">
+      <span class="data-label">${escapeHtml(label)}</span>
+      <span class="data-value ${tone}">${value}</span>
+    </div>
+  `;
+}
+
+// Human-readable byte count
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Save a capture to the downloads folder
+async function download(record, capture) {
+  const indicator = record.indicator.replace(/[^a-z0-9.-]/gi, '_');
+  const blob = new Blob([captureBytes(record[capture.kind])], { type: record[capture.kind].mimeType });
+  const url = URL.createObjectURL(blob);
+  try {
+    await chrome.downloads.download({
+      url,
+      filename: `postevent-osint-evidence-${indicator}-${record.source}-${capture.kind}.${capture.extension}`,
+      saveAs: false
+    });
+  } finally {
+    // The download has its own copy once it starts
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+}
+
+// Show a capture, rehashing its stored bytes to confirm they still match
+async function renderCapture(record, capture) {
+  const stored = record[capture.kind];
+  const matches = await sha256(captureBytes(stored)) === stored.sha256;
+
+  const section = document.createElement('div');
+  section.className = 'evidence-capture';
+  section.innerHTML = `
+    <h2>${escapeHtml(capture.label)}</h2>
+    ${dataRow('Size', escapeHtml(formatSize(stored.size)))}
+    ${dataRow('SHA-256', `<code>${escapeHtml(stored.sha256)}</code>`)}
+    ${dataRow('Integrity', matches ? 'Hash matches stored data' : 'Hash does not match stored data', matches ? 'safe' : 'danger')}
+    <button class="secondary-btn">Download .${capture.extension}</button>
+  `;
+  section.querySelector('button').addEventListener('click', () => {
+    download(record, capture).catch(err => {
+      console.error('Evidence download failed:', err);
+    });
+  });
+  evidenceCaptures.appendChild(section);
+}
+
+async function init() {
+  const id = new URLSearchParams(location.search).get('id');
+  const record = id ? await getEvidence(id) : null;
+  if (!record) {
+    evidenceStatus.textContent = 'This evidence is no longer stored - it was cleared or pruned to make room for newer captures.';
+    return;
+  }
+
+  document.title = `PostEvent OSINT - Evidence for ${record.indicator}`;
+  evidenceStatus.classList.add('hidden');
+  evidenceDetails.classList.remove('hidden');
+
+  evidenceMeta.innerHTML = [
+    dataRow('Source', escapeHtml(getSource(record.source)?.name || record.source)),
+    dataRow('Indicator', escapeHtml(record.indicator)),
+    dataRow('Page', escapeHtml(record.url)),
+    dataRow('Captured', escapeHtml(new Date(record.capturedAt).toLocaleString()))
+  ].join('');
+
+  for (const capture of CAPTURES) {
+    if (record[capture.kind]) await renderCapture(record, capture);
+  }
+
+  if (record.screenshot) {
+    evidenceScreenshot.src = `data:${record.screenshot.mimeType};base64,${record.screenshot.data}`;
+    evidenceScreenshot.classList.remove('hidden');
+  }
+}
+
+init().catch(err => {
+  console.error('Failed to load evidence:', err);
+  evidenceStatus.textContent = 'Failed to load evidence';
+});
@@ -0,0 +1,21 @@
+/**
+ * Lookup Analysis
+ * Everything derived from a lookup's combined results that is stored on the
+ * lookup record next to them, recomputed whenever a result changes
+ */
+
+import { scoreResults } from './scoring.js';
+import { findDiscrepancies } from './discrepancies.js';
+
+/**
+ * Analyze a lookup's results
+ * @param {object} results - Results keyed by source ID
+ * @param {object} settings - The current settings
+ * @returns {{risk: object, discrepancies: object[]}} Fields to merge into the record
+ */
+export function analyzeResults(results, settings) {
+  return {
+    risk: scoreResults(results, settings.scoring),
+    discrepancies: findDiscrepancies(results)
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * API Requests
+ * JSON requests to the sources' official APIs (see api/), used instead of
+ * scraping when the user has configured a key for the source
+ */
+
+// Upper bound on a single API request
+const REQUEST_TIMEOUT = 15000;
+
+/**
+ * A failed API request, carrying the HTTP status when there was a response
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {number|null} status - The HTTP status, or null for a network failure
+   */
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+
+  /**
+   * Whether the key ran out of requests (VirusTotal, AbuseIPDB and ipinfo all answer 429)
+   * @returns {boolean}
+   */
+  get quotaExceeded() {
+    return this.status === 429;
+  }
+}
+
+/**
+ * Pull the error message out of an API's error body
+ * VirusTotal sends { error: { code, message } }, AbuseIPDB { errors: [{ detail }] }
+ * and ipinfo { error: { title, message } }
+ * @param {Response} response - The failed response
+ * @returns {Promise<string|null>}
+ */
+async function readErrorMessage(response) {
+  try {
+    const body = await response.json();
+    return body.error?.message || body.errors?.[0]?.detail || body.error?.title ||
+      (typeof body.error === 'string' ? body.error : null);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET a JSON document from an API
+ * @param {string} url - The full request URL
+ * @param {object} [options]
+ * @param {object} [options.headers] - Extra request headers (API keys)
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<object>} The parsed response body
+ * @throws {ApiError} On a non-2xx response, a network failure or a timeout
+ */
+export async function requestJson(url, { headers = {}, signal } = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { Accept: 'application/json', ...headers },
+      signal: AbortSignal.any([signal, AbortSignal.timeout(REQUEST_TIMEOUT)].filter(Boolean))
+    });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    const reason = err.name === 'TimeoutError' ? 'timeout' : `network error: ${err.message}`;
+    throw new ApiError(`API request failed (${reason})`);
+  }
+
+  if (!response.ok) {
+    const message = await readErrorMessage(response);
+    throw new ApiError(`API request failed (HTTP ${response.status}${message ? `: ${message}` : ''})`, response.status);
+  }
+
+  try {
+    return await response.json();
+  } catch (err) {
+    throw new ApiError(`API returned invalid JSON: ${err.message}`, response.status);
+  }
+}
+
+/**
+ * Join an API base URL and a path, tolerating a trailing slash on the base
+ * @param {string} baseUrl - e.g. 'https://www.virustotal.com/api/v3'
+ * @param {string} path - e.g. 'ip_addresses/8.8.8.8'
+ * @returns {string}
+ */
+export function apiUrl(baseUrl, path) {
+  return `${baseUrl.replace(/\/+$/, '')}/${path}`;
+}
@@ -0,0 +1,141 @@
+/**
+ * Result Cache
+ * Per-source scraper results in chrome.storage.local, keyed by source and
+ * indicator, each source with its own time to live
+ *
+ * An index of the cached keys and when they were cached lets pruning skip
+ * reading the rest of storage, where evidence captures run to several MB each
+ */
+
+const KEY_PREFIX = 'cache:';
+const INDEX_KEY = 'cacheIndex';
+
+// Index writes are chained so parallel sources don't drop each other's entries
+let writeQueue = Promise.resolve();
+
+/**
+ * Load the index, { [storage key]: cachedAt }
+ * Entries cached before the index existed are indexed from one full read of storage
+ * @returns {Promise<object>}
+ */
+async function readIndex() {
+  const { [INDEX_KEY]: index } = await chrome.storage.local.get(INDEX_KEY);
+  if (index) return index;
+
+  const all = await chrome.storage.local.get(null);
+  return Object.fromEntries(Object.entries(all)
+    .filter(([key]) => key.startsWith(KEY_PREFIX))
+    .map(([key, entry]) => [key, entry.cachedAt]));
+}
+
+/**
+ * Run a read-modify-write on the index, one at a time
+ * @param {function(object): Promise<object>} update - Receives and returns the index
+ * @returns {Promise<object>} The saved index
+ */
+function updateIndex(update) {
+  const run = writeQueue.then(async () => {
+    const updated = await update(await readIndex());
+    await chrome.storage.local.set({ [INDEX_KEY]: updated });
+    return updated;
+  });
+  // Keep the chain alive after a failed write
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Build the storage key for a cached result
+ * @param {string} source - The source ID
+ * @param {string} indicator - The canonical indicator
+ * @returns {string}
+ */
+function cacheKey(source, indicator) {
+  return `${KEY_PREFIX}${source}:${indicator}`;
+}
+
+/**
+ * Get the TTL for a source, preferring the user's setting over the registry default
+ * @param {object} source - The source definition from the registry
+ * @param {object} settings - The current settings
+ * @returns {number} TTL in minutes (0 disables caching)
+ */
+export function getCacheTtl(source, settings) {
+  return settings.cacheTtl?.[source.id] ?? source.cacheTtl ?? 0;
+}
+
+/**
+ * Read a cached result if it is still fresh
+ * Expired entries are removed as they are found
+ * @param {string} source - The source ID
+ * @param {string} indicator - The canonical indicator
+ * @param {number} ttlMinutes - How long results stay fresh
+ * @returns {Promise<object|null>} The cached result, or null on a miss
+ */
+export async function getCachedResult(source, indicator, ttlMinutes) {
+  if (!ttlMinutes) return null;
+
+  const key = cacheKey(source, indicator);
+  const { [key]: entry } = await chrome.storage.local.get(key);
+  if (!entry) return null;
+
+  if (Date.now() - entry.cachedAt > ttlMinutes * 60 * 1000) {
+    updateIndex(async index => {
+      await chrome.storage.local.remove(key);
+      delete index[key];
+      return index;
+    }).catch(() => {});
+    return null;
+  }
+
+  // Entries cached before evidence was left out may still carry a reference
+  const { evidence, ...data } = entry.data;
+  return { ...data, fromCache: true, cachedAt: entry.cachedAt };
+}
+
+/**
+ * Cache a result
+ * Errors and warnings (CAPTCHA, partial pages) are not worth keeping. The
+ * evidence reference stays with the lookup that captured it, so deleting that
+ * lookup's evidence leaves no dead link in a later cache hit
+ * @param {string} source - The source ID
+ * @param {string} indicator - The canonical indicator
+ * @param {object} data - The scraper result
+ * @returns {Promise<void>}
+ */
+export async function setCachedResult(source, indicator, data) {
+  if (!data || data.error || data.warning) return;
+
+  const { fromCache, cachedAt, evidence, ...result } = data;
+  const key = cacheKey(source, indicator);
+  await updateIndex(async index => {
+    const entry = { data: result, cachedAt: Date.now() };
+    await chrome.storage.local.set({ [key]: entry });
+    return { ...index, [key]: entry.cachedAt };
+  });
+}
+
+/**
+ * Remove expired entries, or everything when no TTLs are given
+ * @param {object} [ttls] - TTL in minutes keyed by source ID
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function pruneCache(ttls) {
+  const now = Date.now();
+  let expired = [];
+
+  await updateIndex(async index => {
+    expired = Object.keys(index).filter(key => {
+      if (!ttls) return true;
+      const source = key.slice(KEY_PREFIX.length).split(':')[0];
+      return now - index[key] > (ttls[source] ?? 0) * 60 * 1000;
+    });
+
+    if (expired.length) {
+      await chrome.storage.local.remove(expired);
+    }
+    expired.forEach(key => delete index[key]);
+    return index;
+  });
+  return expired.length;
+}
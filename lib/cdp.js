@@ -1,21 +1,380 @@
 /**
  * CDP (Chrome DevTools Protocol) Library
  * A Playwright-like abstraction for browser automation via chrome.debugger
+ *
+ * Pages come from a pool of debugger-attached tabs kept in a minimized window
+ * of their own, out of the user's tab strip. Closing a page resets its tab and
+ * hands it to the next createPage() call, and at most `limit` pages are open
+ * at once across every source (see setPageLimit).
  */
 
+import { extractionExpression } from './inject.js';
+
+// Tabs opened by createPage, listed in session storage so a restarted worker
+// can close the ones its predecessor left behind
+const PAGES_KEY = 'automationTabs';
+
+// Idle pooled tabs are closed after this long, and the automation window
+// with the last of them
+const POOL_IDLE_TIMEOUT = 30000;
+
+// How long resetting a tab (navigating it to about:blank) may take before
+// the tab is closed instead of reused
+const RESET_TIMEOUT = 5000;
+
+// The page pool: open pages, callers queued for one, idle attached tabs
+// ({ tabId, timeoutId }) and the automation window
+const pool = {
+  limit: 4,
+  active: 0,
+  waiters: [],
+  idle: [],
+  windowId: null
+};
+
+// Window creation is chained so parallel scrapes don't each open a window
+let windowQueue = Promise.resolve();
+let poolWatched = false;
+
+// Tabs opened by this worker instance, which are never orphans
+const ownTabs = new Set();
+
+let pagesQueue = Promise.resolve();
+
 /**
- * Creates a new page (tab) with CDP debugging attached
- * @returns {Promise<Page>} A Page instance for browser automation
+ * Add or remove a tab in the stored list, one update at a time (non-blocking, log errors)
+ * @param {function(number[]): number[]} update - Receives and returns the tab IDs
+ * @returns {Promise<void>}
+ */
+function updateTrackedTabs(update) {
+  pagesQueue = pagesQueue
+    .then(async () => {
+      const { [PAGES_KEY]: tabIds = [] } = await chrome.storage.session.get(PAGES_KEY);
+      await chrome.storage.session.set({ [PAGES_KEY]: update(tabIds) });
+    })
+    .catch(err => {
+      console.warn('Failed to track automation tabs:', err);
+    });
+  return pagesQueue;
+}
+
+/**
+ * Stop tracking a tab this worker closed
+ * @param {number} tabId - The tab ID
+ */
+function untrackTab(tabId) {
+  if (ownTabs.delete(tabId)) {
+    updateTrackedTabs(tabIds => tabIds.filter(id => id !== tabId));
+  }
+}
+
+/**
+ * Close the tabs a previous worker instance opened and never closed
+ * Call once at startup: a stopped worker loses its Page objects, so anything
+ * still listed and not opened by this instance is an orphan
+ * @returns {Promise<number>} How many tabs were closed
+ */
+export async function closeOrphanedPages() {
+  let orphans = [];
+  await updateTrackedTabs(tabIds => {
+    orphans = tabIds.filter(tabId => !ownTabs.has(tabId));
+    return tabIds.filter(tabId => ownTabs.has(tabId));
+  });
+
+  let closed = 0;
+  for (const tabId of orphans) {
+    try {
+      await chrome.debugger.detach({ tabId });
+    } catch {
+      // Not attached anymore
+    }
+    try {
+      await chrome.tabs.remove(tabId);
+      closed++;
+    } catch {
+      // Already closed by the user
+    }
+  }
+  return closed;
+}
+
+// Page lifecycle event each `waitUntil` mode waits for; networkidle also
+// waits for the network to go quiet after the load event
+const WAIT_UNTIL_EVENTS = {
+  domcontentloaded: 'Page.domContentEventFired',
+  load: 'Page.loadEventFired',
+  networkidle: 'Page.loadEventFired'
+};
+
+// How long the network must stay without requests in flight to count as idle
+const NETWORK_IDLE_TIME = 500;
+
+// In-page helpers available to waitForFunction expressions, for pages built
+// from web components whose content sits in shadow roots
+const SHADOW_HELPERS = `
+  // First element matching the selector, searching inside every shadow root
+  function deepQuerySelector(selector, root = document) {
+    return deepQuerySelectorAll(selector, root)[0] || null;
+  }
+
+  // Every element matching the selector, searching inside every shadow root
+  function deepQuerySelectorAll(selector, root = document) {
+    const matches = [...root.querySelectorAll(selector)];
+    for (const el of root.querySelectorAll('*')) {
+      if (el.shadowRoot) matches.push(...deepQuerySelectorAll(selector, el.shadowRoot));
+    }
+    return matches;
+  }
+
+  // Text of every text node under root, shadow roots included, space separated
+  function deepText(root = document.body) {
+    const parts = [];
+    (function traverse(node) {
+      if (node.shadowRoot) traverse(node.shadowRoot);
+      if (node.nodeType === Node.TEXT_NODE) parts.push(node.textContent);
+      for (const child of node.childNodes || []) traverse(child);
+    })(root);
+    return parts.join(' ');
+  }
+`;
+
+/**
+ * Check a URL against a response filter
+ * @param {string} url - The response URL
+ * @param {string|RegExp} pattern - Substring or regular expression
+ * @returns {boolean}
+ */
+function matchesUrl(url, pattern) {
+  return pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern);
+}
+
+/**
+ * Decode a base64 response body as UTF-8 text
+ * @param {string} data - Base64 data
+ * @returns {string}
+ */
+function decodeBase64(data) {
+  return new TextDecoder().decode(Uint8Array.from(atob(data), char => char.charCodeAt(0)));
+}
+
+/**
+ * Set how many pages may be open at once across every source
+ * Callers queued in createPage() start as soon as the new limit allows
+ * @param {number} limit - Maximum number of open pages
+ */
+export function setPageLimit(limit) {
+  pool.limit = Math.max(1, limit);
+  wakeWaiters();
+}
+
+/**
+ * Start queued callers while there is room under the limit
+ */
+function wakeWaiters() {
+  while (pool.waiters.length && pool.active < pool.limit) {
+    pool.waiters.shift().start();
+  }
+}
+
+/**
+ * Wait for room under the page limit and take a slot
+ * @param {AbortSignal} [signal] - Gives up the wait (rejecting with its reason)
+ * @returns {Promise<void>}
+ */
+function acquireSlot(signal) {
+  if (pool.active < pool.limit && !pool.waiters.length) {
+    pool.active++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = {
+      start: () => {
+        signal?.removeEventListener('abort', onAbort);
+        pool.active++;
+        resolve();
+      }
+    };
+    const onAbort = () => {
+      pool.waiters.splice(pool.waiters.indexOf(waiter), 1);
+      reject(signal.reason);
+    };
+
+    pool.waiters.push(waiter);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Give a slot back and start the next queued caller
+ */
+function releaseSlot() {
+  pool.active--;
+  wakeWaiters();
+}
+
+/**
+ * Forget an idle tab (it was taken, closed or lost its debugger)
+ * @param {number} tabId - The tab ID
+ * @returns {boolean} Whether the tab was idle
+ */
+function dropIdleTab(tabId) {
+  const index = pool.idle.findIndex(entry => entry.tabId === tabId);
+  if (index === -1) return false;
+
+  clearTimeout(pool.idle[index].timeoutId);
+  pool.idle.splice(index, 1);
+  return true;
+}
+
+/**
+ * Take an idle attached tab from the pool
+ * @returns {number|null} The tab ID, or null when none is idle
+ */
+function takeIdleTab() {
+  const entry = pool.idle.pop();
+  if (!entry) return null;
+
+  clearTimeout(entry.timeoutId);
+  return entry.tabId;
+}
+
+/**
+ * Keep a reset tab for the next page, closing it if it stays idle
+ * @param {number} tabId - The tab ID
+ * @returns {boolean} False when the pool is already full and the tab should close
+ */
+function returnIdleTab(tabId) {
+  if (pool.idle.length >= pool.limit) return false;
+
+  const timeoutId = setTimeout(() => {
+    if (dropIdleTab(tabId)) destroyTab(tabId);
+  }, POOL_IDLE_TIMEOUT);
+  pool.idle.push({ tabId, timeoutId });
+  return true;
+}
+
+/**
+ * Detach the debugger from a tab and close it
+ * @param {number} tabId - The tab ID
+ * @returns {Promise<void>}
+ */
+async function destroyTab(tabId) {
+  try {
+    await chrome.debugger.detach({ tabId });
+  } catch {
+    // Not attached (or the tab is already closed)
+  }
+  try {
+    await chrome.tabs.remove(tabId);
+  } catch {
+    // Already closed by the user
+  }
+  untrackTab(tabId);
+}
+
+/**
+ * Follow the pool's tabs and window being closed or detached from outside
+ * (the user closing the window or cancelling the debugging infobar)
+ * Registered on first use so pages that only import the registry don't listen
  */
-export async function createPage() {
-  // Create a new tab
-  const tab = await chrome.tabs.create({
-    url: 'about:blank',
-    active: false
+function watchPool() {
+  if (poolWatched) return;
+  poolWatched = true;
+
+  chrome.tabs.onRemoved.addListener(tabId => {
+    dropIdleTab(tabId);
+  });
+  chrome.debugger.onDetach.addListener(({ tabId }) => {
+    if (dropIdleTab(tabId)) destroyTab(tabId);
+  });
+  chrome.windows.onRemoved.addListener(windowId => {
+    if (windowId === pool.windowId) pool.windowId = null;
+  });
+}
+
+/**
+ * Open a blank tab in the automation window, creating the window if needed
+ * @returns {Promise<chrome.tabs.Tab>}
+ */
+function openInAutomationWindow() {
+  const run = windowQueue.then(async () => {
+    if (pool.windowId !== null) {
+      try {
+        return await chrome.tabs.create({ windowId: pool.windowId, url: 'about:blank', active: false });
+      } catch {
+        // The window closed (its last tab went, or the user closed it)
+        pool.windowId = null;
+      }
+    }
+
+    // A minimized, unfocused window keeps scraping out of the user's way;
+    // its first tab is the one we asked for
+    const window = await chrome.windows.create({ url: 'about:blank', focused: false, state: 'minimized' });
+    pool.windowId = window.id;
+    return window.tabs[0];
   });
+  // Keep the chain alive after a failed create
+  windowQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Open a new tab for the pool and track it
+ * Falls back to a background tab in the current window if no window can be opened
+ * @returns {Promise<number>} The tab ID
+ */
+async function openPoolTab() {
+  watchPool();
+
+  let tab;
+  try {
+    tab = await openInAutomationWindow();
+  } catch (err) {
+    console.warn('Failed to open the automation window, using a tab in the current window:', err);
+    tab = await chrome.tabs.create({ url: 'about:blank', active: false });
+  }
+
+  ownTabs.add(tab.id);
+  updateTrackedTabs(tabIds => [...tabIds, tab.id]);
+  return tab.id;
+}
+
+/**
+ * Get a page with CDP debugging attached, reusing an idle pooled tab when
+ * there is one; waits while the page limit is reached
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting gives up the wait, closes
+ *   the page and rejects its pending navigation, sleeps and commands
+ * @returns {Promise<Page>} A Page instance for browser automation
+ */
+export async function createPage(options = {}) {
+  const { signal } = options;
+  if (signal?.aborted) throw signal.reason;
+
+  await acquireSlot(signal);
+
+  let page = null;
+  try {
+    const idleTabId = takeIdleTab();
+    page = new Page(idleTabId ?? await openPoolTab(), signal);
+    await page._attach(idleTabId !== null);
+  } catch (err) {
+    // close() gives the slot back along with the tab
+    if (page) {
+      await page.close();
+    } else {
+      releaseSlot();
+    }
+    throw signal?.aborted ? signal.reason : err;
+  }
+
+  // Cancelled while attaching - the abort handler may have run before the debugger was on
+  if (signal?.aborted) {
+    await page.close();
+    throw signal.reason;
+  }
 
-  const page = new Page(tab.id);
-  await page._attach();
   return page;
 }
 
@@ -23,38 +382,88 @@ export async function createPage() {
  * Page class - represents a browser tab with CDP capabilities
  */
 export class Page {
-  constructor(tabId) {
+  constructor(tabId, signal = null) {
     this.tabId = tabId;
     this.target = { tabId };
+    this.signal = signal;
     this._attached = false;
+    this._closed = false;
     this._eventListeners = new Map();
+
+    // Scripts added by injectStealthScripts, removed before the tab is reused
+    this._scriptIds = [];
+
+    // Network requests in flight, for the networkidle wait
+    this._inflight = new Set();
+    this._networkChangedAt = Date.now();
+
+    // Response capture, see captureResponses
+    this._capturePatterns = [];
+    this._pendingResponses = new Map();
+    this._responses = [];
+    this._responseWaiters = new Set();
+
+    this._onNetworkEvent = (source, method, params) => {
+      if (source.tabId !== this.tabId) return;
+
+      if (method === 'Network.responseReceived') {
+        // The body can only be read once loading finishes
+        const { url, status, mimeType } = params.response;
+        if (this._capturePatterns.some(pattern => matchesUrl(url, pattern))) {
+          this._pendingResponses.set(params.requestId, { url, status, mimeType });
+        }
+        return;
+      }
+
+      if (method === 'Network.requestWillBeSent') {
+        this._inflight.add(params.requestId);
+      } else if (method === 'Network.loadingFinished' || method === 'Network.loadingFailed') {
+        this._inflight.delete(params.requestId);
+
+        const captured = this._pendingResponses.get(params.requestId);
+        this._pendingResponses.delete(params.requestId);
+        if (captured && method === 'Network.loadingFinished') {
+          this._readResponse(params.requestId, captured);
+        }
+      } else {
+        return;
+      }
+      this._networkChangedAt = Date.now();
+    };
+
+    // Close the tab as soon as the work is cancelled
+    this._onAbort = () => this.close();
+    signal?.addEventListener('abort', this._onAbort, { once: true });
   }
 
   /**
    * Attach the debugger to this tab
+   * @param {boolean} [reused] - The tab comes from the pool and is already attached
    */
-  async _attach() {
+  async _attach(reused = false) {
     if (this._attached) return;
 
-    try {
-      await chrome.debugger.attach(this.target, '1.3');
+    if (reused) {
       this._attached = true;
-    } catch (err) {
-      // Clean up the tab we created
+    } else {
       try {
-        await chrome.tabs.remove(this.tabId);
-      } catch {}
-
-      if (err.message?.includes('Another debugger')) {
-        throw new Error('Debugger already attached - close DevTools and try again');
+        await chrome.debugger.attach(this.target, '1.3');
+        this._attached = true;
+      } catch (err) {
+        if (err.message?.includes('Another debugger')) {
+          throw new Error('Debugger already attached - close DevTools and try again');
+        }
+        throw new Error(`Failed to attach debugger: ${err.message}`);
       }
-      throw new Error(`Failed to attach debugger: ${err.message}`);
+
+      // Enable necessary domains (they stay enabled while the tab is pooled)
+      await this._sendCommand('Page.enable');
+      await this._sendCommand('Runtime.enable');
+      await this._sendCommand('DOM.enable');
+      await this._sendCommand('Network.enable');
     }
 
-    // Enable necessary domains
-    await this._sendCommand('Page.enable');
-    await this._sendCommand('Runtime.enable');
-    await this._sendCommand('DOM.enable');
+    chrome.debugger.onEvent.addListener(this._onNetworkEvent);
   }
 
   /**
@@ -64,6 +473,7 @@ export class Page {
    * @returns {Promise<any>} Command result
    */
   async _sendCommand(method, params = {}) {
+    if (this.signal?.aborted) throw this.signal.reason;
     if (!this._attached) {
       throw new Error('Debugger not attached');
     }
@@ -71,6 +481,8 @@ export class Page {
     try {
       return await chrome.debugger.sendCommand(this.target, method, params);
     } catch (err) {
+      // Commands in flight fail when an abort closes the tab
+      if (this.signal?.aborted) throw this.signal.reason;
       console.error(`CDP command failed: ${method}`, err);
       throw err;
     }
@@ -80,39 +492,211 @@ export class Page {
    * Navigate to a URL and wait for the page to load
    * @param {string} url - The URL to navigate to
    * @param {object} options - Navigation options
+   * @param {number} [options.timeout] - Milliseconds before giving up (default 30000)
+   * @param {string} [options.waitUntil] - When navigation counts as done:
+   *   'domcontentloaded' (HTML parsed), 'load' (default, subresources loaded) or
+   *   'networkidle' (loaded and no requests in flight for 500ms)
    * @returns {Promise<void>}
    */
   async goto(url, options = {}) {
     const { timeout = 30000, waitUntil = 'load' } = options;
+    const { signal } = this;
+    const deadline = Date.now() + timeout;
 
-    // Create a promise that resolves when the page loads
+    const lifecycleEvent = WAIT_UNTIL_EVENTS[waitUntil];
+    if (!lifecycleEvent) {
+      throw new Error(`Unknown waitUntil option: ${waitUntil}`);
+    }
+
+    // Create a promise that resolves when the page reaches the lifecycle event
+    let cleanup;
     const loadPromise = new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
+      cleanup = () => {
+        clearTimeout(timeoutId);
         chrome.debugger.onEvent.removeListener(listener);
+        signal?.removeEventListener('abort', onAbort);
+      };
+
+      const timeoutId = setTimeout(() => {
+        cleanup();
         reject(new Error(`Navigation timeout after ${timeout}ms`));
       }, timeout);
 
-      const listener = (source, method, params) => {
-        if (source.tabId !== this.tabId) return;
-
-        if (method === 'Page.loadEventFired' || method === 'Page.domContentEventFired') {
-          clearTimeout(timeoutId);
-          chrome.debugger.onEvent.removeListener(listener);
+      const listener = (source, method) => {
+        if (source.tabId === this.tabId && method === lifecycleEvent) {
+          cleanup();
           resolve();
         }
       };
 
+      const onAbort = () => {
+        cleanup();
+        reject(signal.reason);
+      };
+
       chrome.debugger.onEvent.addListener(listener);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    // Requests and responses of the previous document no longer count
+    this._inflight.clear();
+    this._pendingResponses.clear();
+    this._responses = [];
+
+    // Navigate to the URL and wait for load, together so an abort during
+    // the navigate command doesn't leave the load wait rejecting unobserved
+    const navigation = this._sendCommand('Page.navigate', { url }).then(({ errorText }) => {
+      // e.g. net::ERR_NAME_NOT_RESOLVED - the tab shows Chrome's error page
+      if (errorText) throw new Error(`Navigation failed: ${errorText}`);
+    });
+    try {
+      await Promise.all([navigation, loadPromise]);
+    } finally {
+      cleanup();
+    }
+
+    if (waitUntil === 'networkidle') {
+      await this._waitForNetworkIdle(deadline);
+    }
+  }
+
+  /**
+   * Keep the bodies of responses whose URL matches one of the patterns
+   * Call before goto() to catch the requests a page makes while loading
+   * @param {...(string|RegExp)} patterns - URL substrings or regular expressions
+   */
+  captureResponses(...patterns) {
+    for (const pattern of patterns) {
+      if (!this._capturePatterns.some(existing => String(existing) === String(pattern))) {
+        this._capturePatterns.push(pattern);
+      }
+    }
+  }
+
+  /**
+   * Get the responses captured since the last navigation
+   * @param {string|RegExp} [pattern] - Only those whose URL matches
+   * @returns {{url: string, status: number, mimeType: string, body: string}[]}
+   */
+  getResponses(pattern) {
+    return pattern ? this._responses.filter(response => matchesUrl(response.url, pattern)) : [...this._responses];
+  }
+
+  /**
+   * Wait for a response whose URL matches the pattern and read its body
+   * Resolves straight away with one already captured since the last navigation
+   * @param {string|RegExp} pattern - URL substring or regular expression
+   * @param {object} options - Wait options
+   * @param {number} [options.timeout] - Milliseconds before giving up (default 10000)
+   * @returns {Promise<{url: string, status: number, mimeType: string, body: string}>}
+   */
+  waitForResponse(pattern, options = {}) {
+    const { timeout = 10000 } = options;
+    const { signal } = this;
+
+    this.captureResponses(pattern);
+    const [captured] = this.getResponses(pattern);
+    if (captured) return Promise.resolve(captured);
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const cleanup = () => {
+        clearTimeout(timeoutId);
+        this._responseWaiters.delete(waiter);
+        signal?.removeEventListener('abort', onAbort);
+      };
+
+      const timeoutId = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Timeout waiting for response matching ${pattern} after ${timeout}ms`));
+      }, timeout);
+
+      const waiter = (response) => {
+        if (matchesUrl(response.url, pattern)) {
+          cleanup();
+          resolve(response);
+        }
+      };
+
+      const onAbort = () => {
+        cleanup();
+        reject(signal.reason);
+      };
+
+      this._responseWaiters.add(waiter);
+      signal?.addEventListener('abort', onAbort, { once: true });
     });
+  }
+
+  /**
+   * Read a captured response's body and hand it to anyone waiting for it
+   * @param {string} requestId - The CDP request ID
+   * @param {object} response - { url, status, mimeType }
+   * @returns {Promise<void>}
+   */
+  async _readResponse(requestId, response) {
+    try {
+      const { body, base64Encoded } = await this._sendCommand('Network.getResponseBody', { requestId });
+      const captured = { ...response, body: base64Encoded ? decodeBase64(body) : body };
+
+      this._responses.push(captured);
+      this._responseWaiters.forEach(waiter => waiter(captured));
+    } catch (err) {
+      // The page navigated away or was closed before the body was read
+      if (!this.signal?.aborted) console.warn(`Failed to read response body: ${response.url}`, err);
+    }
+  }
+
+  /**
+   * Wait until no network request has been in flight for NETWORK_IDLE_TIME
+   * @param {number} deadline - Timestamp after which to give up
+   * @returns {Promise<void>}
+   */
+  async _waitForNetworkIdle(deadline) {
+    while (this._inflight.size || Date.now() - this._networkChangedAt < NETWORK_IDLE_TIME) {
+      if (Date.now() >= deadline) {
+        throw new Error(`Navigation timeout waiting for network idle (${this._inflight.size} requests in flight)`);
+      }
+      await this.sleep(100);
+    }
+  }
+
+  /**
+   * Evaluate an expression once with the waitForFunction() helpers available
+   * @param {string} expression - JavaScript expression to evaluate
+   * @returns {Promise<any>} The expression's value
+   */
+  async check(expression) {
+    return await this.evaluate(`(function() { ${SHADOW_HELPERS} return (${expression}); })()`);
+  }
 
-    // Navigate to the URL
-    await this._sendCommand('Page.navigate', { url });
+  /**
+   * Wait for an expression to return a truthy value, polling it in the page
+   * The expression can use deepQuerySelector(selector), deepQuerySelectorAll(selector)
+   * and deepText(), which look inside shadow roots
+   * @param {string} expression - JavaScript expression to evaluate
+   * @param {object} options - Wait options
+   * @param {number} [options.timeout] - Milliseconds before giving up (default 10000)
+   * @param {number} [options.polling] - Milliseconds between evaluations (default 100)
+   * @returns {Promise<any>} The truthy value the expression returned
+   */
+  async waitForFunction(expression, options = {}) {
+    const { timeout = 10000, polling = 100 } = options;
+    const deadline = Date.now() + timeout;
 
-    // Wait for load
-    await loadPromise;
+    while (true) {
+      const value = await this.check(expression);
+      if (value) return value;
 
-    // Give the page a moment to settle (for JS-rendered content)
-    await this.sleep(500);
+      if (Date.now() + polling > deadline) {
+        throw new Error(`Timeout waiting for function after ${timeout}ms`);
+      }
+      await this.sleep(polling);
+    }
   }
 
   /**
@@ -153,6 +737,18 @@ export class Page {
     return result.result?.value;
   }
 
+  /**
+   * Run a parser against the page: snapshot the DOM, then parse the snapshot,
+   * both in the page (see lib/inject.js for what the functions may use)
+   * @param {function(): object} snapshot - Collects plain data from the live DOM
+   * @param {function(object, ...*): object} parse - Pure function from that data to the result
+   * @param {object} [options] - Helpers and extra arguments, see extractionExpression()
+   * @returns {Promise<object>} The parsed result
+   */
+  async extract(snapshot, parse, options) {
+    return await this.evaluate(extractionExpression(snapshot, parse, options));
+  }
+
   /**
    * Get text content of an element
    * @param {string} selector - CSS selector
@@ -260,13 +856,92 @@ export class Page {
     return await this.evaluate('window.location.href');
   }
 
+  /**
+   * Capture a screenshot of the whole page, not just the visible viewport
+   * @param {object} [options]
+   * @param {string} [options.format='png'] - Image format: png, jpeg or webp
+   * @returns {Promise<string>} Base64-encoded image data
+   */
+  async screenshot(options = {}) {
+    const { format = 'png' } = options;
+
+    // Automation tabs open in the background, so the tab's viewport may be
+    // smaller than the rendered report; clip to the full content size instead
+    const { cssContentSize, contentSize } = await this._sendCommand('Page.getLayoutMetrics');
+    const size = cssContentSize || contentSize;
+
+    const { data } = await this._sendCommand('Page.captureScreenshot', {
+      format,
+      captureBeyondViewport: true,
+      clip: {
+        x: 0,
+        y: 0,
+        width: Math.ceil(size.width),
+        height: Math.ceil(size.height),
+        scale: 1
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Capture the page as a single-file MHTML archive (HTML plus its resources)
+   * @returns {Promise<string>} The MHTML document
+   */
+  async snapshot() {
+    const { data } = await this._sendCommand('Page.captureSnapshot', { format: 'mhtml' });
+    return data;
+  }
+
+  /**
+   * Show the page to the user: select its tab and restore and focus its window
+   * For handing over what automation can't do, such as solving a CAPTCHA
+   * @returns {Promise<void>}
+   */
+  async reveal() {
+    const tab = await chrome.tabs.get(this.tabId);
+    await chrome.tabs.update(this.tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { state: 'normal', focused: true });
+  }
+
+  /**
+   * Put the automation window out of the way again after reveal()
+   * A page in the user's own window (no automation window could be opened) stays put
+   * @returns {Promise<void>}
+   */
+  async conceal() {
+    const tab = await chrome.tabs.get(this.tabId);
+    if (tab.windowId === pool.windowId) {
+      await chrome.windows.update(tab.windowId, { state: 'minimized' });
+    }
+  }
+
   /**
    * Sleep for a specified duration
+   * Rejects early with the abort reason if the page's signal fires
    * @param {number} ms - Milliseconds to sleep
    * @returns {Promise<void>}
    */
   sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    const { signal } = this;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(signal.reason);
+      };
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -275,7 +950,7 @@ export class Page {
    * @returns {Promise<void>}
    */
   async injectStealthScripts() {
-    await this._sendCommand('Page.addScriptToEvaluateOnNewDocument', {
+    const { identifier } = await this._sendCommand('Page.addScriptToEvaluateOnNewDocument', {
       source: `
         // Mask navigator.webdriver which is set to true when debugger is attached
         Object.defineProperty(navigator, 'webdriver', {
@@ -283,26 +958,79 @@ export class Page {
         });
       `
     });
+    this._scriptIds.push(identifier);
+  }
+
+  /**
+   * Clear what this page left on its tab so the next page starts clean:
+   * injected scripts go and the tab navigates to about:blank
+   * @returns {Promise<void>}
+   */
+  async _reset() {
+    for (const identifier of this._scriptIds) {
+      await this._sendCommand('Page.removeScriptToEvaluateOnNewDocument', { identifier });
+    }
+    this._scriptIds = [];
+
+    // Wait for about:blank's load event so the next page's goto() can't take
+    // it for the end of its own navigation
+    let cleanup;
+    const loaded = new Promise((resolve, reject) => {
+      cleanup = () => {
+        clearTimeout(timeoutId);
+        chrome.debugger.onEvent.removeListener(listener);
+      };
+
+      const timeoutId = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Tab reset timeout after ${RESET_TIMEOUT}ms`));
+      }, RESET_TIMEOUT);
+
+      const listener = (source, method) => {
+        if (source.tabId === this.tabId && method === 'Page.loadEventFired') {
+          cleanup();
+          resolve();
+        }
+      };
+
+      chrome.debugger.onEvent.addListener(listener);
+    });
+
+    try {
+      await this._sendCommand('Page.stopLoading');
+      await Promise.all([this._sendCommand('Page.navigate', { url: 'about:blank' }), loaded]);
+    } finally {
+      cleanup();
+    }
   }
 
   /**
-   * Detach debugger and close the tab
+   * Release the page: reset its tab and return it to the pool, or detach the
+   * debugger and close the tab when the page was cancelled or the reset fails
    * @returns {Promise<void>}
    */
   async close() {
-    if (this._attached) {
+    if (this._closed) return;
+    this._closed = true;
+
+    this.signal?.removeEventListener('abort', this._onAbort);
+    chrome.debugger.onEvent.removeListener(this._onNetworkEvent);
+
+    // A cancelled page may be mid-navigation, so its tab is never reused
+    let reusable = this._attached && !this.signal?.aborted;
+    if (reusable) {
       try {
-        await chrome.debugger.detach(this.target);
+        await this._reset();
       } catch (err) {
-        // Ignore detach errors (tab may already be closed)
+        console.warn('Failed to reset pooled tab, closing it:', err);
+        reusable = false;
       }
-      this._attached = false;
     }
 
-    try {
-      await chrome.tabs.remove(this.tabId);
-    } catch (err) {
-      // Ignore remove errors (tab may already be closed)
+    if (!reusable || !returnIdleTab(this.tabId)) {
+      await destroyTab(this.tabId);
     }
+    this._attached = false;
+    releaseSlot();
   }
 }
@@ -0,0 +1,130 @@
+/**
+ * Challenge Handoff
+ * When a source answers with a CAPTCHA or bot check instead of its report, the
+ * automation tab is shown to the user to solve it; the scraper then carries on
+ * extracting from the same page once the challenge is gone
+ */
+
+// How long the user has to solve a challenge before the scrape gives up
+const CHALLENGE_TIMEOUT = 3 * 60 * 1000;
+
+// How often the cleared check runs while the user works on a challenge
+const CHALLENGE_POLLING = 1000;
+
+// The lookup's progress is reported again this often during a handoff so the
+// popup doesn't time out waiting on it
+const STAGE_HEARTBEAT = 20000;
+
+// How long the report gets to render once a challenge is cleared, unless the
+// scraper gives its own render budget
+const READY_TIMEOUT = 15000;
+
+// Widgets and interstitials of the common challenge providers: reCAPTCHA,
+// hCaptcha, Cloudflare (Turnstile and "Just a moment...") and VirusTotal's own
+const CHALLENGE_SELECTORS = [
+  '.g-recaptcha[data-sitekey]',
+  '#captcha-container',
+  '.h-captcha[data-sitekey]',
+  '.cf-turnstile',
+  '#challenge-form',
+  '#challenge-running',
+  '#cf-challenge-running',
+  'iframe[src*="challenges.cloudflare.com"]'
+];
+
+/**
+ * In-page check for a challenge, for Page.check() and waitForFunction()
+ * Looks for a provider widget (inside shadow roots too), then for the wording
+ * interstitial pages use in their title or opening text
+ */
+export const CHALLENGE_PRESENT = `(function() {
+  if (${JSON.stringify(CHALLENGE_SELECTORS)}.some(selector => deepQuerySelector(selector))) return true;
+
+  const text = document.body ? document.body.innerText.substring(0, 3000) : '';
+  return /just a moment|attention required|are you a robot|security check/i.test(document.title) ||
+    /verify (?:you are|you're) (?:a )?human|checking your browser|checking if the site connection is secure|unusual traffic from your/i.test(text);
+})()`;
+
+// Handoffs run one at a time so the user is only ever shown one challenge
+let handoffQueue = Promise.resolve();
+
+/**
+ * Check a page for a challenge and, when handoff is on, let the user solve it
+ * A challenge only counts while the report is missing, so a page that shows
+ * both (e.g. a report form with a reCAPTCHA under it) is left alone.
+ * @param {import('./cdp.js').Page} page - The page to check
+ * @param {object} options
+ * @param {string} options.source - The source name shown to the user (e.g. 'AbuseIPDB')
+ * @param {string} options.ready - Expression that is true once the report has rendered
+ * @param {boolean} [options.enabled] - Hand the challenge to the user; otherwise just report it
+ * @param {number} [options.timeout] - How long the report gets to render after the challenge, in ms
+ * @param {function(string): void} [options.onStage] - Progress callback, called with 'challenge'
+ *   while the user is solving it and 'rendering' once it is gone
+ * @returns {Promise<boolean>} True if a challenge still stands between the scraper and the report
+ */
+export async function resolveChallenge(page, options) {
+  const { source, ready, enabled = false, timeout = READY_TIMEOUT, onStage = () => {} } = options;
+
+  const blocked = await page.check(`!(${ready}) && ${CHALLENGE_PRESENT}`);
+  if (!blocked) return false;
+  if (!enabled) return true;
+
+  const run = handoffQueue.then(() => handOff(page, source, ready, timeout, onStage));
+  // Keep the chain alive after a failed or cancelled handoff
+  handoffQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Show the page to the user and wait for the challenge to go away
+ * @param {import('./cdp.js').Page} page - The challenged page
+ * @param {string} source - The source name
+ * @param {string} ready - Expression that is true once the report has rendered
+ * @param {number} timeout - How long the report gets to render, in ms
+ * @param {function(string): void} onStage - Progress callback
+ * @returns {Promise<boolean>} False once the challenge is cleared
+ */
+async function handOff(page, source, ready, timeout, onStage) {
+  // An earlier handoff may have taken long enough for this one to clear up
+  if (!await page.check(CHALLENGE_PRESENT)) return false;
+
+  console.log(`Handing ${source} challenge over to the user`);
+  onStage('challenge');
+  await page.reveal();
+
+  try {
+    const deadline = Date.now() + CHALLENGE_TIMEOUT;
+    let lastStage = Date.now();
+
+    while (true) {
+      // Solving a challenge usually reloads the page, and checks that land
+      // mid-navigation fail - those just count as not cleared yet
+      const cleared = await page.check(`!${CHALLENGE_PRESENT}`).catch(err => {
+        if (page.signal?.aborted) throw err;
+        return false;
+      });
+      if (cleared) break;
+
+      if (Date.now() >= deadline) {
+        throw new Error(`${source} CAPTCHA was not solved in time`);
+      }
+      if (Date.now() - lastStage >= STAGE_HEARTBEAT) {
+        onStage('challenge');
+        lastStage = Date.now();
+      }
+      await page.sleep(CHALLENGE_POLLING);
+    }
+  } finally {
+    await page.conceal().catch(err => {
+      console.warn('Failed to hide the automation window:', err);
+    });
+  }
+
+  // The report renders after the challenge page goes; extraction copes with
+  // whatever is there if it takes too long
+  onStage('rendering');
+  await page.waitForFunction(ready, { timeout, polling: 250 }).catch(err => {
+    if (page.signal?.aborted) throw err;
+  });
+  return false;
+}
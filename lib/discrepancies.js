@@ -0,0 +1,233 @@
+/**
+ * Cross-Source Discrepancies
+ * Normalizes the country, organization and hostname each source reports so
+ * they can be compared, and flags the fields where sources disagree
+ */
+
+// Country names the sources use that Intl.DisplayNames spells differently
+const COUNTRY_ALIASES = {
+  'united states of america': 'US',
+  'usa': 'US',
+  'united kingdom of great britain and northern ireland': 'GB',
+  'great britain': 'GB',
+  'uk': 'GB',
+  'russian federation': 'RU',
+  'korea (republic of)': 'KR',
+  'republic of korea': 'KR',
+  'korea, republic of': 'KR',
+  'iran, islamic republic of': 'IR',
+  'iran (islamic republic of)': 'IR',
+  'viet nam': 'VN',
+  'netherlands (kingdom of the)': 'NL',
+  'the netherlands': 'NL',
+  'taiwan, province of china': 'TW',
+  'moldova, republic of': 'MD',
+  'czech republic': 'CZ',
+  'hong kong sar china': 'HK'
+};
+
+// Words that say nothing about who owns a network
+const ORG_NOISE = new Set([
+  'llc', 'inc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'gmbh', 'ag', 'sa', 'sas',
+  'bv', 'nv', 'plc', 'srl', 'spa', 'oy', 'ab', 'as', 'pte', 'pty', 'the', 'of', 'and',
+  'communications', 'communication', 'networks', 'network', 'internet', 'services', 'service',
+  'technologies', 'technology', 'holdings', 'group', 'global', 'telecom', 'online', 'net'
+]);
+
+// Networks announced from many locations at once, where geolocation disagreeing is expected
+const ANYCAST_ORG_PATTERN = /cloudflare|google|akamai|fastly|cloudfront|amazon|microsoft|edgecast|stackpath|quad9|opendns|cisco umbrella|anycast/i;
+
+// Where each field lives in each source's result
+const FIELDS = [
+  {
+    id: 'country',
+    label: 'Country',
+    values: {
+      virustotal: data => data.country,
+      ipinfo: data => data.country,
+      abuseipdb: data => data.countryCode
+    }
+  },
+  {
+    id: 'org',
+    label: 'Organization',
+    values: {
+      virustotal: data => data.asOwner,
+      ipinfo: data => data.org,
+      abuseipdb: data => data.isp
+    }
+  },
+  {
+    id: 'hostname',
+    label: 'Hostname',
+    values: {
+      ipinfo: data => data.hostname,
+      abuseipdb: data => data.hostname
+    }
+  }
+];
+
+let countryCodes = null;
+
+/**
+ * Replace a deprecated region code with its successor ("UK" -> "GB", "DD" -> "DE")
+ * @param {string} code - Two-letter region code
+ * @returns {string}
+ */
+function canonicalRegion(code) {
+  try {
+    return Intl.getCanonicalLocales(`und-${code}`)[0].slice(4).toUpperCase();
+  } catch {
+    return code.toUpperCase();
+  }
+}
+
+/**
+ * Build the lowercase country name to ISO code map once, from the runtime's region names
+ * @returns {Map<string, string>}
+ */
+function getCountryCodes() {
+  if (countryCodes) return countryCodes;
+
+  countryCodes = new Map(Object.entries(COUNTRY_ALIASES));
+  const names = new Intl.DisplayNames(['en'], { type: 'region' });
+  for (let first = 65; first <= 90; first++) {
+    for (let second = 65; second <= 90; second++) {
+      const code = canonicalRegion(String.fromCharCode(first, second));
+      const name = names.of(code);
+      if (name && name !== code && !countryCodes.has(name.toLowerCase())) {
+        countryCodes.set(name.toLowerCase(), code);
+      }
+    }
+  }
+  return countryCodes;
+}
+
+/**
+ * Normalize a country name or code to an ISO 3166 alpha-2 code
+ * @param {string} country - e.g. "US", "United States" or "United States of America"
+ * @returns {string|null} The code, the cleaned-up input when it is not recognized, or null
+ */
+export function normalizeCountry(country) {
+  if (typeof country !== 'string') return null;
+
+  const cleaned = country.replace(/[\u{1F1E6}-\u{1F1FF}]/gu, '').replace(/\s+/g, ' ').trim();
+  if (!cleaned) return null;
+  if (/^[a-z]{2}$/i.test(cleaned)) return canonicalRegion(cleaned);
+
+  return getCountryCodes().get(cleaned.toLowerCase()) || cleaned.toLowerCase();
+}
+
+/**
+ * Normalize an organization name to its significant words
+ * "AS15169 Google LLC" and "Google LLC" both become ["google"]
+ * @param {string} org - The organization, ISP or AS owner
+ * @returns {string[]} Significant lowercase words, empty when there are none
+ */
+export function normalizeOrg(org) {
+  if (typeof org !== 'string') return [];
+
+  return org
+    .toLowerCase()
+    .replace(/^as\d+\s*/, '')
+    .replace(/\([^)]*\)/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !ORG_NOISE.has(word));
+}
+
+/**
+ * Normalize a hostname for comparison
+ * @param {string} hostname - The reverse DNS name
+ * @returns {string|null} Lowercase name without the trailing dot, or null
+ */
+export function normalizeHostname(hostname) {
+  if (typeof hostname !== 'string') return null;
+  const cleaned = hostname.trim().toLowerCase().replace(/\.$/, '');
+  return cleaned || null;
+}
+
+/**
+ * Check whether two normalized values describe the same thing
+ * @param {string} field - The field ID
+ * @param {*} a - Normalized value
+ * @param {*} b - Normalized value
+ * @returns {boolean}
+ */
+function sameValue(field, a, b) {
+  // Organizations agree when they share a significant word ("Google" and "Google Cloud")
+  if (field === 'org') return a.some(word => b.includes(word));
+  return a === b;
+}
+
+/**
+ * Normalize a field's value for comparison
+ * @param {string} field - The field ID
+ * @param {string} value - The raw value
+ * @returns {*} The normalized value, or null when there is nothing to compare
+ */
+function normalize(field, value) {
+  if (field === 'country') return normalizeCountry(value);
+  if (field === 'org') {
+    const words = normalizeOrg(value);
+    return words.length ? words : null;
+  }
+  return normalizeHostname(value);
+}
+
+/**
+ * Suggest the usual explanation for a conflict
+ * @param {string} field - The field ID
+ * @param {object} results - Results keyed by source ID
+ * @returns {string}
+ */
+function explain(field, results) {
+  if (field === 'country') {
+    const orgs = [results.virustotal?.asOwner, results.ipinfo?.org, results.abuseipdb?.isp];
+    const anycast = orgs.some(org => typeof org === 'string' && ANYCAST_ORG_PATTERN.test(org));
+    return anycast
+      ? 'Anycast network: the same address is announced from many locations'
+      : 'Geolocation drift: the databases were updated at different times, often after the range moved';
+  }
+  if (field === 'org') {
+    return 'Recent ASN reassignment, or one source names the customer while another names the upstream network';
+  }
+  return 'Reverse DNS changed recently or the sources resolved it at different times';
+}
+
+/**
+ * Compare the sources' country, organization and hostname
+ * @param {object} results - Results keyed by source ID
+ * @returns {object[]} One entry per conflicting field:
+ *   { field, label, values: [{ source, value }], hint }
+ */
+export function findDiscrepancies(results) {
+  const discrepancies = [];
+
+  for (const field of FIELDS) {
+    const values = [];
+    for (const [source, read] of Object.entries(field.values)) {
+      const data = results?.[source];
+      if (!data || data.error) continue;
+
+      const value = read(data);
+      const normalized = normalize(field.id, value);
+      if (normalized !== null) values.push({ source, value: String(value).trim(), normalized });
+    }
+
+    if (values.length < 2) continue;
+
+    const conflict = values.some((a, i) =>
+      values.slice(i + 1).some(b => !sameValue(field.id, a.normalized, b.normalized))
+    );
+    if (!conflict) continue;
+
+    discrepancies.push({
+      field: field.id,
+      label: field.label,
+      values: values.map(({ source, value }) => ({ source, value })),
+      hint: explain(field.id, results)
+    });
+  }
+
+  return discrepancies;
+}
@@ -18,12 +18,12 @@ export const ErrorTypes = {
  * @returns {string} The error type
  */
 export function classifyError(error) {
-  const message = error.message?.toLowerCase() || '';
+  const message = String(error?.message ?? error ?? '').toLowerCase();
 
   if (message.includes('timeout')) return ErrorTypes.TIMEOUT;
   if (message.includes('net::') || message.includes('network')) return ErrorTypes.NETWORK;
   if (message.includes('captcha') || message.includes('blocked') || message.includes('403')) return ErrorTypes.BLOCKED;
-  if (message.includes('parse') || message.includes('json')) return ErrorTypes.PARSE;
+  if (message.includes('parse') || message.includes('json') || message.includes('evaluation failed')) return ErrorTypes.PARSE;
   if (message.includes('debugger') || message.includes('attach')) return ErrorTypes.DEBUGGER;
 
   return ErrorTypes.UNKNOWN;
@@ -46,3 +46,46 @@ export function getUserFriendlyMessage(errorType, source) {
   };
   return messages[errorType] || messages.UNKNOWN;
 }
+
+/**
+ * Get what the user can do about an error of a given type
+ * @param {string} errorType - The classified error type
+ * @param {string} source - The source name (e.g., 'VirusTotal')
+ * @returns {string} A suggestion to show under the error
+ */
+export function getErrorGuidance(errorType, source) {
+  const guidance = {
+    TIMEOUT: `${source} may be slow or overloaded - retry in a minute.`,
+    NETWORK: `Check your connection, and whether ${source} is down or blocked on this network.`,
+    BLOCKED: `Open ${source} in a tab, complete any check it asks for, then retry.`,
+    PARSE: `${source} may have changed its layout - open the page to read the data directly.`,
+    DEBUGGER: 'Close any DevTools window open on the lookup tabs, then retry. If it keeps failing, reload the extension.',
+    UNKNOWN: `Retry, or open ${source} directly.`
+  };
+  return guidance[errorType] || guidance.UNKNOWN;
+}
+
+/**
+ * Whether an error type is likely to clear up if the lookup is simply run again
+ * @param {string} errorType - The classified error type
+ * @returns {boolean}
+ */
+export function isRetryable(errorType) {
+  return errorType === ErrorTypes.TIMEOUT || errorType === ErrorTypes.NETWORK;
+}
+
+/**
+ * Build the error result a scraper or lookup returns for a failure
+ * @param {Error} error - The error that ended the scrape
+ * @param {string} source - The source name (e.g., 'VirusTotal')
+ * @returns {object} { error, errorType, errorDetail } where `error` is the
+ *   user-facing message and `errorDetail` the original one
+ */
+export function toErrorResult(error, source) {
+  const errorType = classifyError(error);
+  return {
+    error: getUserFriendlyMessage(errorType, source),
+    errorType,
+    errorDetail: String(error?.message ?? error ?? 'Unknown error')
+  };
+}
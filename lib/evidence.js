@@ -0,0 +1,202 @@
+/**
+ * Evidence
+ * Screenshots and MHTML snapshots of the pages a lookup was scraped from,
+ * kept in chrome.storage.local with a SHA-256 hash and capture time so a
+ * finding can be shown (and checked) as the source displayed it
+ *
+ * Each capture is stored under its own `evidence:<id>` key:
+ * { id, source, indicator, url, capturedAt, screenshot, snapshot }
+ * where `screenshot` and `snapshot` are { mimeType, data, sha256, size }
+ * (screenshot data is base64, snapshot data is the MHTML text). Results only
+ * carry a reference without the data, see captureEvidence().
+ */
+
+const KEY_PREFIX = 'evidence:';
+const INDEX_KEY = 'evidenceIndex';
+
+// Upper bound on stored evidence; full-page screenshots run to a few MB each,
+// so the oldest captures are dropped first (needs the unlimitedStorage permission)
+const MAX_EVIDENCE_BYTES = 200 * 1024 * 1024;
+
+// Index writes are chained so parallel sources don't drop each other's captures
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a read-modify-write on the evidence index, one at a time
+ * The index lists captures newest first as { id, size, capturedAt }
+ * @param {function(object[]): Promise<object[]>} update - Receives and returns the index
+ * @returns {Promise<object[]>} The saved index
+ */
+function updateIndex(update) {
+  const run = writeQueue.then(async () => {
+    const { [INDEX_KEY]: index } = await chrome.storage.local.get(INDEX_KEY);
+    const updated = await update(Array.isArray(index) ? index : []);
+    await chrome.storage.local.set({ [INDEX_KEY]: updated });
+    return updated;
+  });
+  // Keep the chain alive after a failed write
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Hex-encoded SHA-256 of some bytes
+ * @param {Uint8Array} bytes - The data to hash
+ * @returns {Promise<string>}
+ */
+export async function sha256(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} data - Base64 text
+ * @returns {Uint8Array}
+ */
+export function base64ToBytes(data) {
+  return Uint8Array.from(atob(data), char => char.charCodeAt(0));
+}
+
+/**
+ * The bytes a capture's hash covers: the decoded image, or the MHTML as UTF-8
+ * These are also the bytes written out when the capture is downloaded
+ * @param {object} capture - A stored screenshot or snapshot
+ * @returns {Uint8Array}
+ */
+export function captureBytes(capture) {
+  return capture.mimeType === 'multipart/related'
+    ? new TextEncoder().encode(capture.data)
+    : base64ToBytes(capture.data);
+}
+
+/**
+ * Hash a capture and describe it for storage
+ * @param {string} mimeType - The capture's MIME type
+ * @param {string} data - Base64 image data or MHTML text
+ * @returns {Promise<object>} { mimeType, data, sha256, size }
+ */
+async function describeCapture(mimeType, data) {
+  const capture = { mimeType, data };
+  const bytes = captureBytes(capture);
+  return { ...capture, sha256: await sha256(bytes), size: bytes.length };
+}
+
+/**
+ * Screenshot and snapshot a page before it closes and store both
+ * Capture failures are logged rather than thrown so they never fail the
+ * scrape; only cancellation propagates.
+ * @param {import('./cdp.js').Page} page - The page the result was scraped from
+ * @param {object} details
+ * @param {string} details.source - The source ID
+ * @param {string} details.indicator - The indicator that was looked up
+ * @returns {Promise<object|null>} Reference to attach to the result:
+ *   { id, capturedAt, url, screenshot: { sha256, size }, snapshot: { sha256, size } },
+ *   or null if nothing could be captured
+ */
+export async function captureEvidence(page, { source, indicator }) {
+  try {
+    const capturedAt = new Date().toISOString();
+    const url = await page.url();
+    const screenshot = await page.screenshot().then(
+      data => describeCapture('image/png', data),
+      err => console.warn(`Screenshot failed for ${source}:`, err)
+    );
+    const snapshot = await page.snapshot().then(
+      data => describeCapture('multipart/related', data),
+      err => console.warn(`Snapshot failed for ${source}:`, err)
+    );
+    if (page.signal?.aborted) throw page.signal.reason;
+    if (!screenshot && !snapshot) return null;
+
+    const id = crypto.randomUUID();
+    const record = { id, source, indicator, url, capturedAt, screenshot: screenshot || null, snapshot: snapshot || null };
+    const size = (screenshot?.data.length || 0) + (snapshot?.data.length || 0);
+
+    await updateIndex(async index => {
+      const updated = [{ id, size, capturedAt }, ...index];
+      let total = updated.reduce((sum, item) => sum + item.size, 0);
+      const dropped = [];
+      while (updated.length > 1 && total > MAX_EVIDENCE_BYTES) {
+        const oldest = updated.pop();
+        total -= oldest.size;
+        dropped.push(KEY_PREFIX + oldest.id);
+      }
+
+      await chrome.storage.local.set({ [KEY_PREFIX + id]: record });
+      if (dropped.length) await chrome.storage.local.remove(dropped);
+      return updated;
+    });
+
+    const reference = capture => capture && { sha256: capture.sha256, size: capture.size };
+    return { id, capturedAt, url, screenshot: reference(screenshot), snapshot: reference(snapshot) };
+  } catch (err) {
+    if (page.signal?.aborted) throw err;
+    console.warn(`Failed to capture evidence for ${source}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Capture evidence for a successful result and attach the reference to it
+ * Results with a warning (not found, blocked, limited data) are not worth keeping
+ * @param {import('./cdp.js').Page} page - The page the result was scraped from
+ * @param {object} result - The scraped data
+ * @param {object} details
+ * @param {boolean} [details.enabled] - Whether evidence capture is turned on
+ * @param {string} details.source - The source ID
+ * @param {string} details.indicator - The indicator that was looked up
+ * @returns {Promise<object>} The result, with `evidence` when captured
+ */
+export async function attachEvidence(page, result, { enabled, source, indicator }) {
+  if (!enabled || !result || result.error || result.warning) return result;
+
+  const evidence = await captureEvidence(page, { source, indicator });
+  return evidence ? { ...result, evidence } : result;
+}
+
+/**
+ * Load a stored capture
+ * @param {string} id - The evidence ID
+ * @returns {Promise<object|null>} The capture, or null once it was pruned
+ */
+export async function getEvidence(id) {
+  const key = KEY_PREFIX + id;
+  const { [key]: record } = await chrome.storage.local.get(key);
+  return record || null;
+}
+
+/**
+ * IDs of the captures a lookup record's results refer to
+ * @param {object} record - A lookup record, history entry or bulk row: { results }
+ * @returns {string[]}
+ */
+export function getEvidenceIds(record) {
+  return Object.values(record?.results || {}).map(result => result?.evidence?.id).filter(Boolean);
+}
+
+/**
+ * Delete some stored captures
+ * @param {string[]} ids - The evidence IDs
+ * @returns {Promise<void>}
+ */
+export async function deleteEvidence(ids) {
+  if (!ids.length) return;
+
+  const deleted = new Set(ids);
+  await updateIndex(async index => {
+    await chrome.storage.local.remove(ids.map(id => KEY_PREFIX + id));
+    return index.filter(item => !deleted.has(item.id));
+  });
+}
+
+/**
+ * Delete every stored capture
+ * @returns {Promise<void>}
+ */
+export async function clearEvidence() {
+  await updateIndex(async index => {
+    await chrome.storage.local.remove(index.map(item => KEY_PREFIX + item.id));
+    return [];
+  });
+}
@@ -0,0 +1,286 @@
+/**
+ * Exports
+ * Turns lookup records into downloadable or copyable text: raw JSON, a CSV
+ * table with one row per indicator, a Markdown incident-ticket snippet, or a
+ * STIX 2.1 bundle / MISP event for threat intel platforms, or a ZIP bundle of
+ * the records with their captured evidence
+ *
+ * Every format takes a list of lookup records ({ indicator, type, timestamp,
+ * results, risk, discrepancies, sourceUrls }) so the current lookup, history
+ * entries and bulk rows all export the same way.
+ */
+
+import { getSource, getSourcesFor } from './sources.js';
+import { toSTIX } from './stix.js';
+import { toMISP } from './misp.js';
+import { captureBytes, getEvidence, sha256 } from './evidence.js';
+import { createZip } from './zip.js';
+
+/**
+ * Get the external page of every source for a record
+ * Older records predate `sourceUrls`, so fall back to the registry
+ * @param {object} record - The lookup record
+ * @returns {object} URLs keyed by source ID
+ */
+export function getSourceUrls(record) {
+  if (record.sourceUrls) return record.sourceUrls;
+  return Object.fromEntries(
+    getSourcesFor(record.type).map(source => [source.id, source.types[record.type].url(record.indicator)])
+  );
+}
+
+/**
+ * Format a timestamp as ISO 8601, or an empty string when there is none
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string}
+ */
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+/**
+ * Get a usable result from a source, ignoring failures
+ * @param {object} record - The lookup record
+ * @param {string} source - The source ID
+ * @returns {object} The result, or an empty object
+ */
+function resultFrom(record, source) {
+  const result = record.results?.[source];
+  return result && !result.error ? result : {};
+}
+
+// CSV columns, each { header, value(record) }
+const CSV_COLUMNS = [
+  { header: 'indicator', value: record => record.indicator },
+  { header: 'type', value: record => record.type },
+  { header: 'timestamp', value: record => formatTimestamp(record.timestamp) },
+  { header: 'verdict', value: record => record.risk?.verdict },
+  { header: 'score', value: record => record.risk?.score },
+  {
+    header: 'vt_detections',
+    value: record => {
+      const { detections } = resultFrom(record, 'virustotal');
+      return detections ? `${detections.malicious}/${detections.total ?? '?'}` : null;
+    }
+  },
+  { header: 'vt_reputation', value: record => resultFrom(record, 'virustotal').reputation },
+  { header: 'vt_threat_label', value: record => resultFrom(record, 'virustotal').threatLabel },
+  { header: 'abuse_confidence', value: record => resultFrom(record, 'abuseipdb').confidenceScore },
+  { header: 'abuse_reports', value: record => resultFrom(record, 'abuseipdb').totalReports },
+  { header: 'usage_type', value: record => resultFrom(record, 'abuseipdb').usageType },
+  {
+    header: 'country',
+    value: record => resultFrom(record, 'ipinfo').country || resultFrom(record, 'abuseipdb').countryCode || resultFrom(record, 'virustotal').country
+  },
+  {
+    header: 'org',
+    value: record => resultFrom(record, 'ipinfo').org || resultFrom(record, 'abuseipdb').isp || resultFrom(record, 'virustotal').asOwner
+  },
+  { header: 'asn', value: record => resultFrom(record, 'ipinfo').asn },
+  { header: 'network', value: record => resultFrom(record, 'ipinfo').network || resultFrom(record, 'virustotal').network },
+  { header: 'hostname', value: record => resultFrom(record, 'ipinfo').hostname || resultFrom(record, 'abuseipdb').hostname },
+  { header: 'discrepancies', value: record => (record.discrepancies || []).map(item => item.field).join(';') },
+  {
+    header: 'errors',
+    value: record => Object.entries(record.results || {})
+      .filter(([, result]) => result.error)
+      .map(([source]) => source)
+      .join(';')
+  }
+];
+
+/**
+ * Quote a CSV cell when needed
+ * Text starting with a formula character is prefixed with ' so spreadsheets
+ * don't evaluate scraped content
+ * @param {*} value - The cell value
+ * @returns {string}
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV table, one row per record
+ * @param {object[]} records - Lookup records
+ * @returns {string}
+ */
+export function toCSV(records) {
+  const lines = [CSV_COLUMNS.map(column => column.header).join(',')];
+  for (const record of records) {
+    lines.push(CSV_COLUMNS.map(column => csvCell(column.value(record))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Build raw JSON with the full results, including fields the cards hide
+ * @param {object[]} records - Lookup records
+ * @returns {string}
+ */
+export function toJSON(records) {
+  return JSON.stringify(records.map(record => ({
+    ...record,
+    sourceUrls: getSourceUrls(record)
+  })), null, 2);
+}
+
+/**
+ * Render a source's card fields as plain text lines
+ * @param {object} source - The source definition from the registry
+ * @param {string} type - The indicator type
+ * @param {object} data - The source's result
+ * @returns {string[]} "Label: value" lines for the fields that have a value
+ */
+function fieldLines(source, type, data) {
+  return (source.types[type]?.fields || [])
+    .map(field => {
+      const value = field.value(data);
+      const text = Array.isArray(value) ? value.join(', ') : value;
+      return text !== null && text !== undefined && text !== '' ? `${field.label}: ${text}` : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Build a Markdown snippet for pasting into an incident ticket
+ * It reads fine as plain text too
+ * @param {object[]} records - Lookup records
+ * @returns {string}
+ */
+export function toMarkdown(records) {
+  return records.map(record => {
+    const lines = [`## ${record.indicator} (${record.type})`, ''];
+
+    lines.push(`- **Looked up:** ${formatTimestamp(record.timestamp) || 'unknown'}`);
+    if (record.risk) {
+      lines.push(`- **Verdict:** ${record.risk.verdict} (score ${record.risk.score}/100)`);
+      record.risk.reasons.forEach(reason => {
+        lines.push(`  - ${reason.text} (+${reason.points})`);
+      });
+    }
+
+    const urls = getSourceUrls(record);
+    for (const [sourceId, data] of Object.entries(record.results || {})) {
+      const source = getSource(sourceId);
+      if (!source) continue;
+
+      lines.push('', `### ${source.name}`, '');
+      if (urls[sourceId]) lines.push(`Source: ${urls[sourceId]}`, '');
+
+      if (data.error) {
+        lines.push(data.errorType ? `- Error (${data.errorType}): ${data.error}` : `- Error: ${data.error}`);
+      } else {
+        fieldLines(source, record.type, data).forEach(line => lines.push(`- ${line}`));
+        if (data.warning) lines.push(`- Warning: ${data.warning}`);
+        if (data.evidence) {
+          const hashes = ['screenshot', 'snapshot']
+            .filter(kind => data.evidence[kind])
+            .map(kind => `${kind} SHA-256 ${data.evidence[kind].sha256}`);
+          lines.push(`- Evidence: captured ${data.evidence.capturedAt}, ${hashes.join(', ')}`);
+        }
+      }
+    }
+
+    if (record.discrepancies?.length) {
+      lines.push('', '### Discrepancies', '');
+      record.discrepancies.forEach(item => {
+        const values = item.values.map(({ source, value }) => `${getSource(source)?.name || source}: ${value}`);
+        lines.push(`- **${item.label}:** ${values.join(' / ')} (${item.hint})`);
+      });
+    }
+
+    return lines.join('\n');
+  }).join('\n\n---\n\n') + '\n';
+}
+
+// File extension of each stored capture in the evidence bundle
+const CAPTURE_EXTENSIONS = { screenshot: 'png', snapshot: 'mhtml' };
+
+/**
+ * Build a ZIP bundle: the records as JSON and Markdown, every stored capture
+ * they reference, and a SHA256SUMS file (sha256sum -c format) over it all
+ * Captures pruned from storage since the lookup are left out.
+ * @param {object[]} records - Lookup records
+ * @returns {Promise<Uint8Array>} The ZIP archive
+ */
+export async function toEvidenceBundle(records) {
+  const files = [
+    { name: 'lookups.json', data: new TextEncoder().encode(toJSON(records)) },
+    { name: 'lookups.md', data: new TextEncoder().encode(toMarkdown(records)) }
+  ];
+
+  for (const record of records) {
+    const folder = record.indicator.replace(/[^a-z0-9.-]/gi, '_');
+    for (const [sourceId, data] of Object.entries(record.results || {})) {
+      if (!data?.evidence) continue;
+
+      const stored = await getEvidence(data.evidence.id);
+      if (!stored) continue;
+
+      for (const [kind, extension] of Object.entries(CAPTURE_EXTENSIONS)) {
+        if (!stored[kind]) continue;
+        files.push({
+          name: `evidence/${folder}/${sourceId}-${kind}-${stored.id.slice(0, 8)}.${extension}`,
+          data: captureBytes(stored[kind])
+        });
+      }
+    }
+  }
+
+  const sums = [];
+  for (const file of files) {
+    sums.push(`${await sha256(file.data)}  ${file.name}`);
+  }
+  files.push({ name: 'SHA256SUMS', data: new TextEncoder().encode(sums.join('\n') + '\n') });
+
+  return createZip(files);
+}
+
+// `binary` formats build bytes rather than text and can only be downloaded
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', build: toJSON },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', build: toCSV },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', build: toMarkdown },
+  stix: { label: 'STIX 2.1 bundle', extension: 'stix.json', mimeType: 'application/json', build: toSTIX },
+  misp: { label: 'MISP event', extension: 'misp.json', mimeType: 'application/json', build: toMISP },
+  evidence: { label: 'Evidence bundle (ZIP)', extension: 'zip', mimeType: 'application/zip', build: toEvidenceBundle, binary: true }
+};
+
+/**
+ * Build a file name for an export, e.g. postevent-osint-8.8.8.8-20240101-120000.json
+ * @param {object[]} records - The exported records
+ * @param {string} extension - The file extension
+ * @returns {string}
+ */
+export function exportFilename(records, extension) {
+  const subject = records.length === 1
+    ? records[0].indicator.replace(/[^a-z0-9.-]/gi, '_')
+    : `${records.length}-lookups`;
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `postevent-osint-${subject}-${stamp}.${extension}`;
+}
+
+/**
+ * Export records in a format
+ * @param {object[]} records - Lookup records
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @returns {Promise<{content: string|Uint8Array, mimeType: string, filename: string}>}
+ */
+export async function exportRecords(records, format) {
+  const definition = EXPORT_FORMATS[format];
+  if (!definition) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  return {
+    content: await definition.build(records),
+    mimeType: definition.mimeType,
+    filename: exportFilename(records, definition.extension)
+  };
+}
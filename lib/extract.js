@@ -0,0 +1,98 @@
+/**
+ * IOC Extraction
+ * Finds every IP address, domain and file hash in free text such as a threat
+ * report or a paste, including defanged forms (1[.]2[.]3[.]4, hxxp://, evil[.]com)
+ */
+
+import { detectIndicator, isReservedIP, IndicatorTypes } from './indicators.js';
+
+// Defanging conventions and what they stand for
+const REFANG_RULES = [
+  [/\[\.\]|\(\.\)|\{\.\}|\[dot\]|\(dot\)|\{dot\}/gi, '.'],
+  [/\[:\]|\[:\/\/\]/g, match => match.slice(1, -1)],
+  [/\[@\]|\[at\]|\(at\)/gi, '@'],
+  [/\bhxxp(s?)/gi, 'http$1'],
+  [/\bfxp\b/gi, 'ftp']
+];
+
+const PATTERNS = {
+  ipv4: /(?<![\d.])(?:\d{1,3}\.){3}\d{1,3}(?!\.?\d)/g,
+  ipv6: /(?<![\w:.])(?:[0-9a-f]{0,4}:){2,7}(?:[0-9a-f]{1,4}|(?:\d{1,3}\.){3}\d{1,3})?(?![\w:])/gi,
+  hash: /(?<![0-9a-f])(?:[0-9a-f]{64}|[0-9a-f]{40}|[0-9a-f]{32})(?![0-9a-f])/gi,
+  // Labels may be Unicode so an IDN matches whole; detectIndicator converts it to punycode
+  domain: /(?<![\p{L}\p{N}_.-])(?:[\p{L}\p{N}](?:[\p{L}\p{N}-]{0,61}[\p{L}\p{N}])?\.)+(?:\p{L}{2,63}|xn--[a-z0-9-]{1,59})(?![\p{L}\p{N}_-])/giu
+};
+
+// "Domains" that are really file names (report.pdf, payload.exe). A few are
+// also real TLDs (.zip, .mov), which this gives up on to keep the list clean
+const FILE_EXTENSIONS = new Set([
+  'exe', 'dll', 'sys', 'scr', 'msi', 'bat', 'cmd', 'ps1', 'vbs', 'js', 'jar', 'lnk', 'hta',
+  'doc', 'docx', 'docm', 'xls', 'xlsx', 'xlsm', 'ppt', 'pptx', 'pdf', 'rtf', 'txt', 'csv', 'log',
+  'zip', 'rar', 'gz', 'tar', 'iso', 'img', 'bin', 'dat', 'tmp', 'cfg', 'ini', 'json', 'xml', 'yml',
+  'html', 'htm', 'php', 'asp', 'aspx', 'jsp', 'css', 'png', 'jpg', 'jpeg', 'gif', 'svg', 'mov',
+  'py', 'sh', 'pl', 'rb', 'go', 'md'
+]);
+
+// Special-use names (RFC 6761, RFC 8375) that never resolve on the internet
+const RESERVED_DOMAIN_PATTERN = /(?:^|\.)(?:localhost|local|test|example|invalid|internal|lan|arpa)$|(?:^|\.)example\.(?:com|net|org)$/;
+
+/**
+ * Undo common defanging so indicators can be matched
+ * @param {string} text - Text that may contain defanged indicators
+ * @returns {string}
+ */
+export function refang(text) {
+  return REFANG_RULES.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(text || ''));
+}
+
+/**
+ * Check whether an extracted indicator is worth looking up
+ * @param {{type: string, value: string}} indicator
+ * @returns {boolean} False for private/reserved addresses and special-use or file-like names
+ */
+function isPublic({ type, value }) {
+  if (type === IndicatorTypes.IP) return !isReservedIP(value);
+  if (type === IndicatorTypes.DOMAIN) {
+    const tld = value.slice(value.lastIndexOf('.') + 1);
+    return !FILE_EXTENSIONS.has(tld) && !RESERVED_DOMAIN_PATTERN.test(value);
+  }
+  return true;
+}
+
+/**
+ * Extract every indicator from text
+ * @param {string} text - Page text, a report, a paste...
+ * @returns {{indicators: {type: string, value: string}[], dropped: number}}
+ *   Unique public indicators in order of appearance, and how many unique
+ *   private, reserved or file-like matches were left out
+ */
+export function extractIndicators(text) {
+  const refanged = refang(text);
+
+  // Collect matches with their position so the result follows the text
+  const matches = [];
+  for (const pattern of Object.values(PATTERNS)) {
+    for (const match of refanged.matchAll(pattern)) {
+      matches.push({ index: match.index, raw: match[0] });
+    }
+  }
+  matches.sort((a, b) => a.index - b.index);
+
+  const indicators = [];
+  const seen = new Set();
+  let dropped = 0;
+
+  for (const { raw } of matches) {
+    const indicator = detectIndicator(raw);
+    if (!indicator || seen.has(indicator.value)) continue;
+    seen.add(indicator.value);
+
+    if (isPublic(indicator)) {
+      indicators.push(indicator);
+    } else {
+      dropped++;
+    }
+  }
+
+  return { indicators, dropped };
+}
@@ -0,0 +1,154 @@
+/**
+ * Lookup History
+ * Every lookup, kept in chrome.storage.local newest first with compact results,
+ * pruned by entry count and by serialized size so it never crowds the quota
+ */
+
+import { analyzeResults } from './analysis.js';
+import { getEvidenceIds } from './evidence.js';
+
+const HISTORY_KEY = 'history';
+
+// Upper bound on the serialized history, well inside the 10 MB storage quota
+const MAX_HISTORY_BYTES = 2 * 1024 * 1024;
+
+// Writes are chained so concurrent lookups (bulk mode) don't drop each other's entries
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a read-modify-write on the stored history, one at a time
+ * @param {function(object[]): object[]} update - Receives and returns the entry list
+ * @returns {Promise<object[]>} The saved list
+ */
+function updateHistory(update) {
+  const run = writeQueue.then(async () => {
+    const history = await getHistory();
+    const updated = update(history);
+    await chrome.storage.local.set({ [HISTORY_KEY]: updated });
+    return updated;
+  });
+  // Keep the chain alive after a failed write
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Shrink a source result for storage: drop empty values, cap lists and long strings
+ * @param {object} result - A scraper result
+ * @returns {object} The compact result
+ */
+function compactResult(result) {
+  const compact = {};
+  for (const [key, value] of Object.entries(result || {})) {
+    if (value === null || value === undefined || key === 'fromCache') continue;
+
+    if (Array.isArray(value)) {
+      compact[key] = value.slice(0, 10);
+    } else if (typeof value === 'string') {
+      compact[key] = value.substring(0, 300);
+    } else {
+      compact[key] = value;
+    }
+  }
+  return compact;
+}
+
+/**
+ * Pick the country to filter by from whichever source reported one
+ * @param {object} results - Results keyed by source ID
+ * @returns {string|null}
+ */
+function pickCountry(results) {
+  return results.ipinfo?.country || results.abuseipdb?.countryCode || results.virustotal?.country || null;
+}
+
+/**
+ * Build a compact history entry from a lookup record
+ * The record's risk verdict is copied to the top level for filtering
+ * @param {object} record - { id, indicator, type, timestamp, results, risk, discrepancies }
+ * @returns {object} The history entry
+ */
+function toEntry(record) {
+  const results = {};
+  for (const [source, result] of Object.entries(record.results)) {
+    results[source] = compactResult(result);
+  }
+  return {
+    ...record,
+    results,
+    verdict: record.risk?.verdict || 'unknown',
+    country: pickCountry(results)
+  };
+}
+
+/**
+ * Load the history, newest first
+ * @returns {Promise<object[]>}
+ */
+export async function getHistory() {
+  const { [HISTORY_KEY]: history } = await chrome.storage.local.get(HISTORY_KEY);
+  return Array.isArray(history) ? history : [];
+}
+
+/**
+ * Add a lookup to the history, or replace the entry with the same ID
+ * Oldest entries are dropped beyond `limit` entries or the size budget
+ * @param {object} record - { id, indicator, type, timestamp, results, risk }
+ * @param {number} limit - Maximum number of entries to keep
+ * @returns {Promise<void>}
+ */
+export async function addHistoryEntry(record, limit) {
+  const entry = toEntry(record);
+
+  await updateHistory(history => {
+    const updated = [entry, ...history.filter(item => item.id !== entry.id)].slice(0, limit);
+
+    let size = JSON.stringify(updated).length;
+    while (updated.length > 1 && size > MAX_HISTORY_BYTES) {
+      size -= JSON.stringify(updated.pop()).length;
+    }
+    return updated;
+  });
+}
+
+/**
+ * Replace one source's result in an existing entry (after a retry) and reanalyze it
+ * @param {string} id - The entry ID
+ * @param {string} source - The source ID
+ * @param {object} result - The new result
+ * @param {object} settings - The current settings
+ * @returns {Promise<void>}
+ */
+export async function updateHistoryResult(id, source, result, settings) {
+  await updateHistory(history => history.map(entry => {
+    if (entry.id !== id) return entry;
+
+    const results = { ...entry.results, [source]: result };
+    return toEntry({ ...entry, results, ...analyzeResults(results, settings) });
+  }));
+}
+
+/**
+ * Delete an entry
+ * @param {string} id - The entry ID
+ * @returns {Promise<string[]>} IDs of the evidence captures no other entry refers to
+ */
+export async function deleteHistoryEntry(id) {
+  let orphaned = [];
+  await updateHistory(history => {
+    const deleted = history.find(entry => entry.id === id);
+    const remaining = history.filter(entry => entry.id !== id);
+    const kept = new Set(remaining.flatMap(getEvidenceIds));
+    orphaned = deleted ? getEvidenceIds(deleted).filter(evidenceId => !kept.has(evidenceId)) : [];
+    return remaining;
+  });
+  return orphaned;
+}
+
+/**
+ * Delete every entry
+ * @returns {Promise<void>}
+ */
+export async function clearHistory() {
+  await updateHistory(() => []);
+}
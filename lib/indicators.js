@@ -0,0 +1,333 @@
+/**
+ * Indicator Utilities
+ * Detection, validation and canonicalization of the indicators we can look up
+ */
+
+const IPV4_REGEX = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
+
+/**
+ * Check whether a string is a dotted-quad IPv4 address
+ * @param {string} value - The candidate address
+ * @returns {boolean}
+ */
+export function isValidIPv4(value) {
+  return typeof value === 'string' && IPV4_REGEX.test(value);
+}
+
+/**
+ * Parse an IPv6 address into its eight 16-bit groups
+ * Accepts compressed (::), expanded, bracketed and IPv4-embedded forms
+ * @param {string} value - The candidate address
+ * @returns {number[]|null} The eight groups, or null if invalid
+ */
+function parseIPv6(value) {
+  if (typeof value !== 'string') return null;
+
+  let address = value.trim();
+  if (address.startsWith('[') && address.endsWith(']')) {
+    address = address.slice(1, -1);
+  }
+
+  // Rewrite an embedded IPv4 tail (e.g. ::ffff:1.2.3.4) as two hex groups
+  const lastColon = address.lastIndexOf(':');
+  if (lastColon === -1) return null;
+  const tail = address.slice(lastColon + 1);
+  if (tail.includes('.')) {
+    if (!isValidIPv4(tail)) return null;
+    const octets = tail.split('.').map(Number);
+    const high = ((octets[0] << 8) | octets[1]).toString(16);
+    const low = ((octets[2] << 8) | octets[3]).toString(16);
+    address = `${address.slice(0, lastColon + 1)}${high}:${low}`;
+  }
+
+  const halves = address.split('::');
+  if (halves.length > 2) return null;
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const groups = [...head, ...rest];
+
+  if (!groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) return null;
+
+  if (halves.length === 2) {
+    // "::" must stand for at least one zero group
+    if (groups.length > 7) return null;
+    const zeros = new Array(8 - groups.length).fill('0');
+    return [...head, ...zeros, ...rest].map(group => parseInt(group, 16));
+  }
+
+  if (groups.length !== 8) return null;
+  return groups.map(group => parseInt(group, 16));
+}
+
+/**
+ * Format eight IPv6 groups in RFC 5952 canonical form
+ * @param {number[]} groups - The eight 16-bit groups
+ * @returns {string}
+ */
+function formatIPv6(groups) {
+  // IPv4-mapped addresses keep their dotted-quad tail
+  if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+    const octets = [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff];
+    return `::ffff:${octets.join('.')}`;
+  }
+
+  // Find the longest run of zero groups (first one wins a tie, runs of 1 are not compressed)
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < 8; i++) {
+    if (groups[i] !== 0) continue;
+    let length = 0;
+    while (i + length < 8 && groups[i + length] === 0) length++;
+    if (length > bestLength && length > 1) {
+      bestStart = i;
+      bestLength = length;
+    }
+    i += length;
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (bestStart === -1) return hex.join(':');
+
+  const before = hex.slice(0, bestStart).join(':');
+  const after = hex.slice(bestStart + bestLength).join(':');
+  return `${before}::${after}`;
+}
+
+/**
+ * Check whether a string is an IPv6 address
+ * @param {string} value - The candidate address
+ * @returns {boolean}
+ */
+export function isValidIPv6(value) {
+  return parseIPv6(value) !== null;
+}
+
+/**
+ * Check whether a string is an IPv4 or IPv6 address
+ * @param {string} value - The candidate address
+ * @returns {boolean}
+ */
+export function isValidIP(value) {
+  return isValidIPv4(value) || isValidIPv6(value);
+}
+
+/**
+ * Get the IP version of an address
+ * @param {string} value - The candidate address
+ * @returns {4|6|null} The version, or null if not an IP address
+ */
+export function getIPVersion(value) {
+  if (isValidIPv4(value)) return 4;
+  if (isValidIPv6(value)) return 6;
+  return null;
+}
+
+/**
+ * Canonicalize an IP address so the same host always maps to the same string
+ * IPv4 loses leading zeros, IPv6 is lowercased and compressed per RFC 5952
+ * @param {string} value - The address to canonicalize
+ * @returns {string|null} The canonical address, or null if invalid
+ */
+export function canonicalizeIP(value) {
+  if (typeof value !== 'string') return null;
+  const address = value.trim();
+
+  if (isValidIPv4(address)) {
+    return address.split('.').map(Number).join('.');
+  }
+
+  const groups = parseIPv6(address);
+  return groups ? formatIPv6(groups) : null;
+}
+
+// Private, loopback, link-local, shared, documentation, multicast and reserved IPv4 ranges
+const RESERVED_IPV4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+
+// Unspecified, loopback, discard, documentation, unique local, link-local and multicast IPv6 ranges
+const RESERVED_IPV6 = [
+  ['::', 128], ['::1', 128], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+];
+
+/**
+ * Check whether the leading bits of two addresses match
+ * @param {number[]} address - Address as groups of `width` bits
+ * @param {number[]} network - Network as groups of `width` bits
+ * @param {number} prefix - Number of leading bits to compare
+ * @param {number} width - Bits per group
+ * @returns {boolean}
+ */
+function inPrefix(address, network, prefix, width) {
+  for (let i = 0; i < address.length && prefix > 0; i++, prefix -= width) {
+    const bits = Math.min(width, prefix);
+    const mask = ((1 << bits) - 1) << (width - bits);
+    if ((address[i] & mask) !== (network[i] & mask)) return false;
+  }
+  return true;
+}
+
+/**
+ * Check whether an IP address is private or otherwise not routable on the internet
+ * IPv4-mapped IPv6 addresses are checked as IPv4
+ * @param {string} value - The address
+ * @returns {boolean} True for reserved addresses and for anything that is not an IP
+ */
+export function isReservedIP(value) {
+  if (isValidIPv4(value)) {
+    const octets = value.split('.').map(Number);
+    return RESERVED_IPV4.some(([network, prefix]) => inPrefix(octets, network.split('.').map(Number), prefix, 8));
+  }
+
+  const groups = parseIPv6(value);
+  if (!groups) return true;
+
+  if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+    return isReservedIP([groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.'));
+  }
+  return RESERVED_IPV6.some(([network, prefix]) => inPrefix(groups, parseIPv6(network), prefix, 16));
+}
+
+const DOMAIN_REGEX = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+/**
+ * Canonicalize a domain name or hostname
+ * Lowercases, drops the trailing root dot and converts IDNs to punycode
+ * @param {string} value - The domain to canonicalize
+ * @returns {string|null} The canonical domain, or null if invalid
+ */
+export function canonicalizeDomain(value) {
+  if (typeof value !== 'string') return null;
+
+  const domain = value.trim().toLowerCase().replace(/\.$/, '');
+  if (!domain || !/^[^\s/\\:@?#]+$/.test(domain) || isValidIP(domain)) return null;
+
+  // Let the URL parser do the IDNA (punycode) conversion
+  let hostname;
+  try {
+    hostname = new URL(`http://${domain}`).hostname;
+  } catch {
+    return null;
+  }
+
+  return DOMAIN_REGEX.test(hostname) ? hostname : null;
+}
+
+/**
+ * Check whether a string is a domain name or hostname
+ * @param {string} value - The candidate domain
+ * @returns {boolean}
+ */
+export function isValidDomain(value) {
+  return canonicalizeDomain(value) !== null;
+}
+
+const HASH_LENGTHS = {
+  32: 'md5',
+  40: 'sha1',
+  64: 'sha256'
+};
+
+/**
+ * Canonicalize an MD5, SHA-1 or SHA-256 file hash (lowercase hex)
+ * @param {string} value - The hash to canonicalize
+ * @returns {string|null} The canonical hash, or null if invalid
+ */
+export function canonicalizeHash(value) {
+  if (typeof value !== 'string') return null;
+  const hash = value.trim().toLowerCase();
+  return /^[0-9a-f]+$/.test(hash) && HASH_LENGTHS[hash.length] ? hash : null;
+}
+
+/**
+ * Get the algorithm of a file hash from its length
+ * @param {string} hash - The hash
+ * @returns {'md5'|'sha1'|'sha256'|null} The algorithm, or null if not a hash
+ */
+export function getHashType(hash) {
+  const canonical = canonicalizeHash(hash);
+  return canonical ? HASH_LENGTHS[canonical.length] : null;
+}
+
+/**
+ * Indicator types the extension can look up
+ */
+export const IndicatorTypes = {
+  IP: 'ip',
+  DOMAIN: 'domain',
+  HASH: 'hash'
+};
+
+/**
+ * Work out what kind of indicator a string is and canonicalize it
+ * @param {string} value - Raw user input
+ * @returns {{type: string, value: string}|null} The indicator, or null if unrecognized
+ */
+export function detectIndicator(value) {
+  const ip = canonicalizeIP(value);
+  if (ip) return { type: IndicatorTypes.IP, value: ip };
+
+  const hash = canonicalizeHash(value);
+  if (hash) return { type: IndicatorTypes.HASH, value: hash };
+
+  const domain = canonicalizeDomain(value);
+  if (domain) return { type: IndicatorTypes.DOMAIN, value: domain };
+
+  return null;
+}
+
+/**
+ * Parse a pasted or uploaded list of indicators
+ * Entries may be separated by newlines, commas, semicolons or whitespace,
+ * so plain lists and simple CSV files both work
+ * @param {string} text - The raw list
+ * @returns {{indicators: {type: string, value: string}[], invalid: string[]}}
+ *   Unique recognized indicators in input order, and the entries that were not
+ */
+export function parseIndicatorList(text) {
+  const indicators = [];
+  const invalid = [];
+  const seen = new Set();
+
+  const entries = String(text || '')
+    .split(/[\s,;]+/)
+    .map(entry => entry.replace(/^["']|["']$/g, ''))
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const indicator = detectIndicator(entry);
+    if (!indicator) {
+      invalid.push(entry);
+    } else if (!seen.has(indicator.value)) {
+      seen.add(indicator.value);
+      indicators.push(indicator);
+    }
+  }
+
+  return { indicators, invalid };
+}
+
+/**
+ * Find the first indicator in free text such as a selection from a ticket
+ * Punctuation around a word ("(1.2.3.4)", "evil.com.") is ignored
+ * @param {string} text - The text to search
+ * @returns {{type: string, value: string}|null} The indicator, or null if there is none
+ */
+export function findIndicator(text) {
+  const whole = detectIndicator(String(text || '').trim());
+  if (whole) return whole;
+
+  const words = String(text || '')
+    .split(/[\s,;]+/)
+    .map(word => word.replace(/^[("'<[]+|[)"'>\].!?]+$/g, ''))
+    .filter(Boolean);
+
+  for (const word of words) {
+    const indicator = detectIndicator(word);
+    if (indicator) return indicator;
+  }
+  return null;
+}
@@ -0,0 +1,25 @@
+/**
+ * Injected Parsers
+ * Builds the Runtime.evaluate expression that runs a parser (see parsers/) in
+ * a page. Functions are sent as their source text, so a snapshot or parse
+ * function only sees its own parameters, the helpers sent along with it and
+ * the page's globals - never the rest of its module.
+ */
+
+/**
+ * Build the expression that snapshots a page and parses the snapshot
+ * @param {function(): object} snapshot - Collects plain data from the live DOM
+ * @param {function(object, ...*): object} parse - Pure function from that data to the result
+ * @param {object} [options]
+ * @param {Function[]} [options.helpers] - Named module functions the parse function
+ *   calls, declared next to it
+ * @param {Array} [options.args] - Further JSON-serializable arguments for parse
+ * @returns {string} The expression, evaluating to the parsed result
+ */
+export function extractionExpression(snapshot, parse, { helpers = [], args = [] } = {}) {
+  const extraArgs = args.map(arg => `, ${JSON.stringify(arg)}`).join('');
+  return `(function() {
+${helpers.map(helper => helper.toString()).join('\n')}
+return (${parse})((${snapshot})()${extraArgs});
+})()`;
+}
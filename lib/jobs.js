@@ -0,0 +1,63 @@
+/**
+ * Lookup Jobs
+ * Lookups in progress, kept in chrome.storage.local as they run so a service
+ * worker stopped mid-lookup (MV3 stops idle workers) can resume them when it
+ * starts again, and a reopened popup can follow them
+ *
+ * A job is the lookup record being built:
+ * { id, indicator, type, force, timestamp, origin, sources, results, resumes }
+ * where `results` holds the sources that finished so far and `resumes` counts
+ * how many times a restarted worker picked the job up.
+ */
+
+const JOBS_KEY = 'lookupJobs';
+
+// Writes are chained so parallel sources don't drop each other's results
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a read-modify-write on the stored jobs, one at a time
+ * @param {function(object): object} update - Receives and returns the jobs keyed by ID
+ * @returns {Promise<object>} The saved jobs
+ */
+function updateJobs(update) {
+  const run = writeQueue.then(async () => {
+    const jobs = update(await getLookupJobs());
+    await chrome.storage.local.set({ [JOBS_KEY]: jobs });
+    return jobs;
+  });
+  // Keep the chain alive after a failed write
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Load the stored jobs
+ * @returns {Promise<object>} Jobs keyed by ID
+ */
+export async function getLookupJobs() {
+  const { [JOBS_KEY]: jobs } = await chrome.storage.local.get(JOBS_KEY);
+  return jobs && typeof jobs === 'object' ? jobs : {};
+}
+
+/**
+ * Save a job, replacing the stored copy
+ * @param {object} job - The job
+ * @returns {Promise<void>}
+ */
+export async function saveLookupJob(job) {
+  const snapshot = structuredClone(job);
+  await updateJobs(jobs => ({ ...jobs, [job.id]: snapshot }));
+}
+
+/**
+ * Forget a job once its record is saved (or it was cancelled)
+ * @param {string} id - The job ID
+ * @returns {Promise<void>}
+ */
+export async function removeLookupJob(id) {
+  await updateJobs(jobs => {
+    const { [id]: removed, ...rest } = jobs;
+    return rest;
+  });
+}
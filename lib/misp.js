@@ -0,0 +1,173 @@
+/**
+ * MISP Export
+ * Turns lookup records into a MISP event (the JSON the MISP UI and
+ * /events/add accept): one attribute per indicator plus its AS, tagged with
+ * the verdict and the sources that reported on it
+ */
+
+import { getHashType, IndicatorTypes } from './indicators.js';
+
+// threat_level_id: 1 High, 2 Medium, 3 Low, 4 Undefined
+const THREAT_LEVELS = { malicious: '1', suspicious: '2', benign: '3', unknown: '4' };
+
+/**
+ * Get a usable result from a source, ignoring failures
+ * @param {object} record - The lookup record
+ * @param {string} source - The source ID
+ * @returns {object|null}
+ */
+function resultFrom(record, source) {
+  const result = record.results?.[source];
+  return result && !result.error ? result : null;
+}
+
+/**
+ * Seconds since the epoch as the string MISP expects
+ * @param {number} [timestamp] - Milliseconds since the epoch
+ * @returns {string}
+ */
+function mispTimestamp(timestamp) {
+  return String(Math.floor((timestamp || Date.now()) / 1000));
+}
+
+/**
+ * Pick the MISP attribute type and category for a record's indicator
+ * @param {object} record - The lookup record
+ * @returns {{type: string, category: string}}
+ */
+function attributeType(record) {
+  if (record.type === IndicatorTypes.IP) return { type: 'ip-dst', category: 'Network activity' };
+  if (record.type === IndicatorTypes.DOMAIN) return { type: 'domain', category: 'Network activity' };
+  return { type: getHashType(record.indicator), category: 'Payload delivery' };
+}
+
+/**
+ * Summarize a record's findings for an attribute comment
+ * @param {object} record - The lookup record
+ * @returns {string}
+ */
+function attributeComment(record) {
+  const parts = [];
+  if (record.risk) parts.push(`Verdict ${record.risk.verdict} (${record.risk.score}/100)`);
+
+  const vt = resultFrom(record, 'virustotal');
+  if (vt?.detections) {
+    parts.push(`VT ${vt.detections.malicious}${vt.detections.total ? `/${vt.detections.total}` : ''}`);
+  }
+  if (vt?.threatLabel) parts.push(vt.threatLabel);
+
+  const abuse = resultFrom(record, 'abuseipdb');
+  if (abuse?.confidenceScore !== undefined && abuse?.confidenceScore !== null) {
+    parts.push(`AbuseIPDB ${abuse.confidenceScore}%`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Build the attributes for one lookup record
+ * @param {object} record - The lookup record
+ * @returns {object[]}
+ */
+function recordAttributes(record) {
+  const verdict = record.risk?.verdict || 'unknown';
+  const timestamp = mispTimestamp(record.timestamp);
+  // Only indicators we consider bad should feed IDS rules
+  const toIds = verdict === 'malicious' || verdict === 'suspicious';
+
+  const tags = [{ name: `postevent-osint:verdict="${verdict}"` }];
+  for (const [source, result] of Object.entries(record.results || {})) {
+    if (!result.error) tags.push({ name: `postevent-osint:source="${source}"` });
+  }
+
+  const attributes = [{
+    uuid: crypto.randomUUID(),
+    ...attributeType(record),
+    value: record.indicator,
+    to_ids: toIds,
+    comment: attributeComment(record),
+    timestamp,
+    Tag: tags
+  }];
+
+  const ipinfo = resultFrom(record, 'ipinfo');
+  const asMatch = String(ipinfo?.asn || '').match(/^AS(\d+)$/i);
+  if (asMatch && record.type === IndicatorTypes.IP) {
+    attributes.push({
+      uuid: crypto.randomUUID(),
+      type: 'AS',
+      category: 'Network activity',
+      value: asMatch[1],
+      to_ids: false,
+      comment: `AS of ${record.indicator}${ipinfo.org ? ` (${ipinfo.org})` : ''}`,
+      timestamp
+    });
+  }
+
+  const abuse = resultFrom(record, 'abuseipdb');
+  if (record.type === IndicatorTypes.DOMAIN && abuse?.resolvedIP) {
+    attributes.push({
+      uuid: crypto.randomUUID(),
+      type: 'ip-dst',
+      category: 'Network activity',
+      value: abuse.resolvedIP,
+      to_ids: false,
+      comment: `Resolved from ${record.indicator}`,
+      timestamp
+    });
+  }
+
+  return attributes;
+}
+
+/**
+ * Build a MISP event from lookup records
+ * The event's threat level follows the worst verdict among the records
+ * @param {object[]} records - Lookup records
+ * @returns {object} { Event: {...} }
+ */
+export function buildMispEvent(records) {
+  const verdicts = records.map(record => record.risk?.verdict || 'unknown');
+  const worst = ['malicious', 'suspicious', 'benign'].find(verdict => verdicts.includes(verdict)) || 'unknown';
+
+  // Keep one attribute per type and value (an AS shared by several addresses)
+  const seen = new Set();
+  const attributes = records.flatMap(recordAttributes).filter(attribute => {
+    const key = `${attribute.type}|${attribute.value}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const now = new Date();
+  return {
+    Event: {
+      uuid: crypto.randomUUID(),
+      info: records.length === 1
+        ? `PostEvent OSINT lookup: ${records[0].indicator}`
+        : `PostEvent OSINT lookups: ${records.length} indicators`,
+      date: now.toISOString().slice(0, 10),
+      timestamp: mispTimestamp(now.getTime()),
+      threat_level_id: THREAT_LEVELS[worst],
+      // 0 Initial, 1 Ongoing, 2 Completed
+      analysis: '0',
+      // 0 Your organisation only
+      distribution: '0',
+      published: false,
+      Attribute: attributes,
+      Tag: [
+        { name: 'tlp:amber' },
+        { name: `postevent-osint:verdict="${worst}"` }
+      ]
+    }
+  };
+}
+
+/**
+ * Build a MISP event as pretty-printed JSON
+ * @param {object[]} records - Lookup records
+ * @returns {string}
+ */
+export function toMISP(records) {
+  return JSON.stringify(buildMispEvent(records), null, 2);
+}
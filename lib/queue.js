@@ -0,0 +1,32 @@
+/**
+ * Concurrency-limited Queue
+ * Runs an async worker over a list of items with at most N in flight
+ */
+
+/**
+ * Run a worker over every item, keeping at most `concurrency` running at once
+ * Items start in order; a failing worker does not stop the queue
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of workers in flight
+ * @param {function(*, number): Promise<*>} worker - Called with (item, index)
+ * @returns {Promise<PromiseSettledResult[]>} Settled results, in item order
+ */
+export async function runQueue(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runNext() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  const limit = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: limit }, runNext));
+  return results;
+}
@@ -0,0 +1,164 @@
+/**
+ * Risk Scoring
+ * Combines the signals of every source into one weighted score (0-100),
+ * a verdict and the reasons behind it
+ *
+ * Each signal reads the results keyed by source ID and returns null when no
+ * source had the data, or { strength, source, text } where strength runs from
+ * 0 (clean) to 1 (worst). A signal adds strength x its weight to the score.
+ */
+
+// Organization names that point at hosting and cloud providers rather than end users
+const HOSTING_ORG_PATTERN = /hosting|cloud|data ?cent(?:er|re)|server|vps|colo|amazon|aws|google llc|microsoft|azure|digitalocean|linode|akamai|vultr|ovh|hetzner|contabo|leaseweb|choopa|m247/i;
+
+/**
+ * Get a source's result, ignoring failed lookups
+ * @param {object} results - Results keyed by source ID
+ * @param {string} source - The source ID
+ * @returns {object} The result, or an empty object
+ */
+function usable(results, source) {
+  const result = results[source];
+  return result && !result.error ? result : {};
+}
+
+export const SIGNALS = [
+  {
+    id: 'detections',
+    label: 'VirusTotal detections',
+    evaluate: results => {
+      const { detections } = usable(results, 'virustotal');
+      if (!detections) return null;
+
+      const { malicious, total } = detections;
+      return {
+        // A handful of engines agreeing is already a strong signal
+        strength: Math.min(1, malicious / 5),
+        source: 'virustotal',
+        text: `${malicious}${total ? `/${total}` : ''} VirusTotal vendors flag it as malicious`
+      };
+    }
+  },
+  {
+    id: 'reputation',
+    label: 'VirusTotal reputation',
+    evaluate: results => {
+      const { reputation } = usable(results, 'virustotal');
+      if (reputation === undefined || reputation === null) return null;
+
+      return {
+        strength: reputation < 0 ? Math.min(1, -reputation / 50) : 0,
+        source: 'virustotal',
+        text: `VirusTotal community reputation is ${reputation}`
+      };
+    }
+  },
+  {
+    id: 'abuseConfidence',
+    label: 'AbuseIPDB confidence',
+    evaluate: results => {
+      const { confidenceScore } = usable(results, 'abuseipdb');
+      if (confidenceScore === undefined || confidenceScore === null) return null;
+
+      return {
+        strength: confidenceScore / 100,
+        source: 'abuseipdb',
+        text: `AbuseIPDB abuse confidence is ${confidenceScore}%`
+      };
+    }
+  },
+  {
+    id: 'abuseReports',
+    label: 'AbuseIPDB reports',
+    evaluate: results => {
+      const { totalReports } = usable(results, 'abuseipdb');
+      if (totalReports === undefined || totalReports === null) return null;
+
+      return {
+        // Logarithmic: 10 reports is half strength, 100 or more is full
+        strength: Math.min(1, Math.log10(totalReports + 1) / 2),
+        source: 'abuseipdb',
+        text: `Reported ${totalReports} time${totalReports === 1 ? '' : 's'} on AbuseIPDB`
+      };
+    }
+  },
+  {
+    id: 'hosting',
+    label: 'Hosting / data center',
+    evaluate: results => {
+      const abuse = usable(results, 'abuseipdb');
+      const ipinfo = usable(results, 'ipinfo');
+
+      const hints = [
+        abuse.usageType && {
+          match: /hosting|data ?cent(?:er|re)/i.test(abuse.usageType),
+          source: 'abuseipdb',
+          text: `AbuseIPDB usage type is ${abuse.usageType}`
+        },
+        ipinfo.hosting != null && {
+          match: ipinfo.hosting,
+          source: 'ipinfo',
+          text: 'IPInfo flags it as a hosting address'
+        },
+        ipinfo.asnType && {
+          match: ipinfo.asnType === 'hosting',
+          source: 'ipinfo',
+          text: 'IPInfo lists the ASN as a hosting network'
+        },
+        ipinfo.org && {
+          match: HOSTING_ORG_PATTERN.test(ipinfo.org),
+          source: 'ipinfo',
+          text: `${ipinfo.org} looks like a hosting provider`
+        }
+      ].filter(Boolean);
+
+      if (!hints.length) return null;
+
+      const hint = hints.find(h => h.match);
+      return hint
+        ? { strength: 1, source: hint.source, text: hint.text }
+        : { strength: 0, source: hints[0].source, text: 'Not a hosting address' };
+    }
+  }
+];
+
+/**
+ * Score a lookup's results
+ * @param {object} results - Results keyed by source ID
+ * @param {object} scoring - The `scoring` settings: { weights, thresholds }
+ * @returns {{verdict: string, score: number, reasons: object[]}} verdict is
+ *   'benign', 'suspicious', 'malicious', or 'unknown' when no source had any
+ *   signal; reasons are the contributing signals, { source, text, points },
+ *   largest first
+ */
+export function scoreResults(results, scoring) {
+  const { weights, thresholds } = scoring;
+
+  let total = 0;
+  let evaluated = 0;
+  const reasons = [];
+
+  for (const signal of SIGNALS) {
+    const outcome = signal.evaluate(results || {});
+    if (!outcome) continue;
+
+    evaluated++;
+    const points = Math.round(outcome.strength * (weights[signal.id] ?? 0));
+    if (points > 0) {
+      total += points;
+      reasons.push({ source: outcome.source, text: outcome.text, points });
+    }
+  }
+
+  const score = Math.min(100, total);
+  reasons.sort((a, b) => b.points - a.points);
+
+  let verdict = 'unknown';
+  if (evaluated) {
+    if (score >= thresholds.malicious) verdict = 'malicious';
+    else if (score >= thresholds.suspicious) verdict = 'suspicious';
+    else verdict = 'benign';
+  }
+
+  return { verdict, score, reasons };
+}
@@ -0,0 +1,168 @@
+/**
+ * Settings
+ * User preferences stored in chrome.storage.sync and merged over the defaults
+ *
+ * API keys are secrets, so they stay on this device in chrome.storage.local
+ * rather than syncing to every signed-in one (see getApiKeys)
+ */
+
+const API_KEYS_KEY = 'apiKeys';
+
+// Most bulk lookups allowed at the same time, whatever bulkConcurrency asks for
+export const MAX_BULK_CONCURRENCY = 5;
+
+export const DEFAULT_SETTINGS = {
+  // IDs of sources switched off in the options; they sit out every lookup
+  disabledSources: [],
+
+  // Indicators looked up at the same time in bulk mode
+  // Each lookup wants one tab per source, so keep this low
+  bulkConcurrency: 2,
+
+  // Automation tabs open at once across every source and lookup; scrapes
+  // beyond this wait for a tab (see lib/cdp.js)
+  pageLimit: 4,
+
+  // Cache TTL in minutes keyed by source ID, missing sources use the registry default
+  cacheTtl: {},
+
+  // Scraper time budgets in ms keyed by source ID ({ navigation, render, ... }),
+  // missing values use the registry default (see getSourceTimeouts in lib/sources.js)
+  timeouts: {},
+
+  // How long the popup waits without hearing from a running lookup, in ms
+  lookupTimeout: 60000,
+
+  // Show a source's CAPTCHA or bot check to the user to solve, then carry on
+  // scraping (lib/challenge.js); off reports it as a warning instead
+  challengeHandoff: true,
+
+  // Screenshot and snapshot each source's page before its tab closes (lib/evidence.js)
+  captureEvidence: false,
+
+  // Official API endpoints keyed by source ID (see api/): a source with a key
+  // (see getApiKeys) is looked up through its API and only scraped when that
+  // fails, e.g. once the quota is used up. The base URLs can point at a mock
+  // server for testing.
+  api: {
+    virustotal: { baseUrl: 'https://www.virustotal.com/api/v3' },
+    abuseipdb: { baseUrl: 'https://api.abuseipdb.com/api/v2' },
+    ipinfo: { baseUrl: 'https://ipinfo.io' }
+  },
+
+  // Lookups kept in the history (it is also capped by size)
+  historyLimit: 500,
+
+  // Where AbuseIPDB confidence (at or above) and VirusTotal reputation (below)
+  // turn a field warning or danger, see getScoreClass in lib/sources.js
+  scoreThresholds: {
+    abuse: { warning: 20, danger: 50 },
+    reputation: { warning: 0, danger: -10 }
+  },
+
+  // Colors the popup shows danger, warning and safe values in
+  colors: {
+    danger: '#ef4444',
+    warning: '#f59e0b',
+    safe: '#22c55e'
+  },
+
+  // Risk scoring: points each signal adds at full strength (see lib/scoring.js)
+  // and the score out of 100 at which the verdict turns suspicious or malicious
+  scoring: {
+    weights: {
+      detections: 50,
+      reputation: 15,
+      abuseConfidence: 40,
+      abuseReports: 10,
+      hosting: 10
+    },
+    thresholds: {
+      suspicious: 20,
+      malicious: 50
+    }
+  }
+};
+
+/**
+ * Merge stored values over defaults, recursing into nested option groups
+ * @param {object} defaults - Default values
+ * @param {object} stored - Values saved by the user
+ * @returns {object} The merged settings
+ */
+function mergeSettings(defaults, stored) {
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(stored || {})) {
+    const isGroup = value && typeof value === 'object' && !Array.isArray(value) &&
+      defaults[key] && typeof defaults[key] === 'object';
+    merged[key] = isGroup ? mergeSettings(defaults[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Load the current settings
+ * @returns {Promise<object>} Settings with defaults filled in
+ */
+export async function getSettings() {
+  try {
+    const { settings } = await chrome.storage.sync.get('settings');
+    return mergeSettings(DEFAULT_SETTINGS, settings);
+  } catch (err) {
+    console.warn('Failed to load settings, using defaults:', err);
+    return mergeSettings(DEFAULT_SETTINGS, {});
+  }
+}
+
+/**
+ * Save changes to the settings
+ * @param {object} changes - Settings to update, nested groups are merged
+ * @returns {Promise<object>} The updated settings
+ */
+export async function saveSettings(changes) {
+  const current = await getSettings();
+  const settings = mergeSettings(current, changes);
+  await chrome.storage.sync.set({ settings });
+  return settings;
+}
+
+/**
+ * Load the API keys
+ * @returns {Promise<object>} Keys keyed by source ID, missing for sources without one
+ */
+export async function getApiKeys() {
+  try {
+    const { [API_KEYS_KEY]: keys } = await chrome.storage.local.get(API_KEYS_KEY);
+    return keys || {};
+  } catch (err) {
+    console.warn('Failed to load API keys:', err);
+    return {};
+  }
+}
+
+/**
+ * Replace the API keys
+ * @param {object} keys - Keys keyed by source ID; empty ones are dropped
+ * @returns {Promise<void>}
+ */
+export async function saveApiKeys(keys) {
+  const stored = Object.fromEntries(Object.entries(keys).filter(([, key]) => key));
+  await chrome.storage.local.set({ [API_KEYS_KEY]: stored });
+}
+
+/**
+ * Move API keys an earlier version saved in the synced settings to local storage
+ * Keys already in local storage win over synced ones
+ * @returns {Promise<void>}
+ */
+export async function migrateApiKeys() {
+  const { settings } = await chrome.storage.sync.get('settings');
+  const configs = Object.values(settings?.api || {}).filter(config => config && 'key' in config);
+  if (!configs.length) return;
+
+  const synced = Object.fromEntries(Object.entries(settings.api).map(([id, config]) => [id, config?.key]));
+  await saveApiKeys({ ...synced, ...await getApiKeys() });
+
+  configs.forEach(config => delete config.key);
+  await chrome.storage.sync.set({ settings });
+}
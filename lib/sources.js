@@ -0,0 +1,230 @@
+/**
+ * Source Registry
+ * Declares every OSINT source: the indicator types it supports, where its pages
+ * live, which scraper collects its data and how its results are rendered
+ *
+ * Each source has:
+ * - id: stable key used in messages, storage and result objects
+ * - name: display name
+ * - cacheTtl: minutes a result stays fresh in the cache (overridable in settings)
+ * - timeouts: the scraper's time budgets in ms, e.g. { navigation, render }
+ *   (overridable in settings, see getSourceTimeouts)
+ * - types: per indicator type (ip, domain, hash) an object with
+ *   - url(indicator): external page for the indicator
+ *   - scrape(indicator, { onStage, signal, evidence, handoff, timeouts }): scraper returning the
+ *     result object, reporting progress through onStage('navigating' | 'rendering' |
+ *     'challenge' | 'extracting'), giving up (closing its tab) when the AbortSignal
+ *     fires, handing a challenge page to the user when `handoff` is set (see
+ *     lib/challenge.js) and, when `evidence` is set, capturing the page before
+ *     closing it (see lib/evidence.js); failures
+ *     come back as a classified error result rather than a throw (lib/errors.js)
+ *   - api(indicator, { key, baseUrl, signal }): optional official API client (api/)
+ *     returning the same result shape as scrape; used instead of it when the user
+ *     has a key for the source, and throws an ApiError (lib/api.js) on failure
+ *   - fields: rows rendered on the card, each { label, value(data), tone?(data, settings) }
+ *     where value returns a string, a list of lines or null, and tone returns
+ *     'danger', 'warning', 'safe' or '' (settings carry the user's score thresholds)
+ *
+ * A source that has no entry for a type sits out lookups of that type, and one
+ * switched off in the settings sits out every lookup.
+ */
+
+import { VIRUSTOTAL_TIMEOUTS, scrapeVirusTotal, scrapeVirusTotalDomain, scrapeVirusTotalFile } from '../scrapers/virustotal.js';
+import { IPINFO_TIMEOUTS, scrapeIPInfo } from '../scrapers/ipinfo.js';
+import { ABUSEIPDB_TIMEOUTS, scrapeAbuseIPDB, scrapeAbuseIPDBDomain } from '../scrapers/abuseipdb.js';
+import { lookupVirusTotalDomain, lookupVirusTotalFile, lookupVirusTotalIP } from '../api/virustotal.js';
+import { lookupIPInfo } from '../api/ipinfo.js';
+import { lookupAbuseIPDB } from '../api/abuseipdb.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+
+/**
+ * Get class based on score
+ * @param {number|null} score - The score to classify
+ * @param {string} type - 'abuse' (AbuseIPDB confidence) or 'reputation' (VirusTotal)
+ * @param {object} [thresholds] - The `scoreThresholds` setting; confidence at or
+ *   above and reputation below each threshold take its class
+ * @returns {string} 'danger', 'warning', 'safe' or '' when there is no score
+ */
+export function getScoreClass(score, type, thresholds = DEFAULT_SETTINGS.scoreThresholds) {
+  if (score === undefined || score === null) return '';
+
+  if (type === 'abuse') {
+    const { warning, danger } = thresholds.abuse;
+    if (score >= danger) return 'danger';
+    if (score >= warning) return 'warning';
+    return 'safe';
+  }
+
+  if (type === 'reputation') {
+    const { warning, danger } = thresholds.reputation;
+    if (score < danger) return 'danger';
+    if (score < warning) return 'warning';
+    return 'safe';
+  }
+
+  return '';
+}
+
+// Field definitions shared between indicator types
+const detectionsField = {
+  label: 'Detections',
+  value: data => data.detections ? `${data.detections.malicious}/${data.detections.total}` : null,
+  tone: data => data.detections?.malicious > 0 ? 'danger' : 'safe'
+};
+
+const reputationField = {
+  label: 'Reputation',
+  value: data => data.reputation ?? null,
+  tone: (data, settings) => getScoreClass(data.reputation, 'reputation', settings?.scoreThresholds)
+};
+
+const confidenceField = {
+  label: 'Confidence Score',
+  value: data => data.confidenceScore != null ? `${data.confidenceScore}%` : null,
+  tone: (data, settings) => getScoreClass(data.confidenceScore, 'abuse', settings?.scoreThresholds)
+};
+
+const totalReportsField = {
+  label: 'Total Reports',
+  value: data => data.totalReports ?? null,
+  tone: data => data.totalReports > 0 ? 'warning' : ''
+};
+
+export const SOURCES = [
+  {
+    id: 'virustotal',
+    name: 'VirusTotal',
+    cacheTtl: 360,
+    timeouts: VIRUSTOTAL_TIMEOUTS,
+    types: {
+      ip: {
+        url: ip => `https://www.virustotal.com/gui/ip-address/${ip}`,
+        scrape: scrapeVirusTotal,
+        api: lookupVirusTotalIP,
+        fields: [
+          detectionsField,
+          reputationField,
+          { label: 'Last Analysis', value: data => data.lastAnalysis },
+          { label: 'AS Owner', value: data => data.asOwner }
+        ]
+      },
+      domain: {
+        url: domain => `https://www.virustotal.com/gui/domain/${domain}`,
+        scrape: scrapeVirusTotalDomain,
+        api: lookupVirusTotalDomain,
+        fields: [
+          detectionsField,
+          { label: 'Registrar', value: data => data.registrar },
+          { label: 'Created', value: data => data.creationDate },
+          { label: 'Categories', value: data => data.categories?.join(', ') },
+          {
+            label: 'DNS Records',
+            value: data => data.dnsRecords?.slice(0, 5).map(record => `${record.type} ${record.value}`)
+          }
+        ]
+      },
+      hash: {
+        url: hash => `https://www.virustotal.com/gui/file/${hash}`,
+        scrape: scrapeVirusTotalFile,
+        api: lookupVirusTotalFile,
+        fields: [
+          detectionsField,
+          {
+            label: 'Threat Label',
+            value: data => data.threatLabel,
+            tone: data => data.threatLabel ? 'danger' : ''
+          },
+          { label: 'File Type', value: data => data.fileType },
+          { label: 'Names', value: data => data.names?.slice(0, 3).join(', ') },
+          { label: 'First Submission', value: data => data.firstSubmission },
+          { label: 'Last Submission', value: data => data.lastSubmission },
+          {
+            label: 'Vendors',
+            value: data => Object.entries(data.vendorVerdicts || {}).map(([vendor, verdict]) => `${vendor}: ${verdict}`)
+          }
+        ]
+      }
+    }
+  },
+  {
+    id: 'ipinfo',
+    name: 'IPInfo',
+    // Geolocation and ownership rarely change
+    cacheTtl: 1440,
+    timeouts: IPINFO_TIMEOUTS,
+    types: {
+      ip: {
+        url: ip => `https://ipinfo.io/${ip}`,
+        scrape: scrapeIPInfo,
+        api: lookupIPInfo,
+        fields: [
+          { label: 'Location', value: data => [data.city, data.region, data.country].filter(Boolean).join(', ') },
+          { label: 'Organization', value: data => data.org },
+          { label: 'ASN', value: data => data.asn },
+          { label: 'ASN Type', value: data => data.asnType },
+          { label: 'Network', value: data => data.network },
+          { label: 'Hostname', value: data => data.hostname }
+        ]
+      }
+    }
+  },
+  {
+    id: 'abuseipdb',
+    name: 'AbuseIPDB',
+    // Abuse reports come in continuously
+    cacheTtl: 60,
+    timeouts: ABUSEIPDB_TIMEOUTS,
+    types: {
+      ip: {
+        url: ip => `https://www.abuseipdb.com/check/${ip}`,
+        scrape: scrapeAbuseIPDB,
+        api: lookupAbuseIPDB,
+        fields: [
+          confidenceField,
+          totalReportsField,
+          { label: 'ISP', value: data => data.isp },
+          { label: 'Usage Type', value: data => data.usageType }
+        ]
+      },
+      domain: {
+        url: domain => `https://www.abuseipdb.com/check/${domain}`,
+        scrape: scrapeAbuseIPDBDomain,
+        fields: [
+          { label: 'Resolved IP', value: data => data.resolvedIP },
+          confidenceField,
+          totalReportsField,
+          { label: 'Categories', value: data => data.categories?.join(', ') }
+        ]
+      }
+    }
+  }
+];
+
+/**
+ * Look up a source by ID
+ * @param {string} id - The source ID
+ * @returns {object|undefined} The source definition
+ */
+export function getSource(id) {
+  return SOURCES.find(source => source.id === id);
+}
+
+/**
+ * Get the sources that support an indicator type
+ * @param {string} type - The indicator type (ip, domain, hash)
+ * @param {object} [settings] - When given, sources switched off in them are left out
+ * @returns {object[]} Source definitions, in registry order
+ */
+export function getSourcesFor(type, settings) {
+  return SOURCES.filter(source => source.types[type] && !settings?.disabledSources?.includes(source.id));
+}
+
+/**
+ * Get a source's scraper time budgets, with the user's overrides applied
+ * @param {object} source - The source definition
+ * @param {object} settings - The current settings
+ * @returns {object} Budgets in ms keyed like the source's `timeouts`
+ */
+export function getSourceTimeouts(source, settings) {
+  return { ...source.timeouts, ...settings.timeouts?.[source.id] };
+}
@@ -0,0 +1,292 @@
+/**
+ * STIX 2.1 Export
+ * Turns lookup records into a STIX 2.1 bundle:
+ * - an observable per indicator (ipv4-addr, ipv6-addr, domain-name or file)
+ *   and the autonomous-system it belongs to
+ * - an indicator carrying the computed verdict
+ * - a note per source with its raw findings (VT detections, AbuseIPDB confidence)
+ * - an opinion per scoring source on whether the observable is malicious
+ *
+ * Observables get the deterministic UUIDv5 IDs the spec defines, so the same
+ * address always maps to the same object across exports.
+ */
+
+import { getHashType, getIPVersion, IndicatorTypes } from './indicators.js';
+
+// Namespace for STIX Cyber-observable Object IDs (STIX 2.1 section 2.9)
+const SCO_NAMESPACE = '00abedb4-aa42-466c-9c01-fed23315a9b7';
+
+// Identity of this extension, referenced as the creator of every object it makes
+const IDENTITY_ID = 'identity--e1d0512e-7e91-4134-86d0-68f2f3ffe419';
+
+const HASH_ALGORITHMS = { md5: 'MD5', sha1: 'SHA-1', sha256: 'SHA-256' };
+
+// indicator_types vocabulary entry for each verdict
+const INDICATOR_TYPES = {
+  malicious: 'malicious-activity',
+  suspicious: 'anomalous-activity',
+  benign: 'benign',
+  unknown: 'unknown'
+};
+
+/**
+ * Build a name-based (version 5) UUID
+ * @param {string} name - The name to hash
+ * @param {string} namespace - The namespace UUID
+ * @returns {Promise<string>}
+ */
+async function uuidv5(name, namespace) {
+  const namespaceBytes = namespace.replace(/-/g, '').match(/../g).map(byte => parseInt(byte, 16));
+  const data = new Uint8Array([...namespaceBytes, ...new TextEncoder().encode(name)]);
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-1', data)).slice(0, 16);
+
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+
+  const hex = [...hash].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Serialize JSON with sorted keys, enough of RFC 8785 for ID contributing properties
+ * @param {*} value - Plain JSON value
+ * @returns {string}
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Build a Cyber-observable Object with its deterministic ID
+ * @param {string} type - The SCO type
+ * @param {object} idProperties - The ID contributing properties
+ * @param {object} [extra] - Other properties
+ * @returns {Promise<object>}
+ */
+async function observable(type, idProperties, extra = {}) {
+  const id = `${type}--${await uuidv5(canonicalJSON(idProperties), SCO_NAMESPACE)}`;
+  return { type, spec_version: '2.1', id, ...idProperties, ...extra };
+}
+
+/**
+ * Build a Domain Object or Relationship with a random ID
+ * @param {string} type - The object type
+ * @param {string} created - Creation timestamp
+ * @param {object} properties - Type-specific properties
+ * @returns {object}
+ */
+function domainObject(type, created, properties) {
+  return {
+    type,
+    spec_version: '2.1',
+    id: `${type}--${crypto.randomUUID()}`,
+    created,
+    modified: created,
+    created_by_ref: IDENTITY_ID,
+    ...properties
+  };
+}
+
+/**
+ * Quote a value for a STIX pattern string literal
+ * @param {string} value
+ * @returns {string}
+ */
+function patternString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Build the observable and indicator pattern for a record's indicator
+ * @param {object} record - The lookup record
+ * @returns {Promise<{sco: object, pattern: string}>}
+ */
+async function indicatorObservable(record) {
+  const { indicator, type } = record;
+
+  if (type === IndicatorTypes.IP) {
+    const scoType = getIPVersion(indicator) === 6 ? 'ipv6-addr' : 'ipv4-addr';
+    return {
+      sco: await observable(scoType, { value: indicator }),
+      pattern: `[${scoType}:value = ${patternString(indicator)}]`
+    };
+  }
+
+  if (type === IndicatorTypes.DOMAIN) {
+    return {
+      sco: await observable('domain-name', { value: indicator }),
+      pattern: `[domain-name:value = ${patternString(indicator)}]`
+    };
+  }
+
+  const algorithm = HASH_ALGORITHMS[getHashType(indicator)];
+  return {
+    sco: await observable('file', { hashes: { [algorithm]: indicator } }),
+    pattern: `[file:hashes.${patternString(algorithm)} = ${patternString(indicator)}]`
+  };
+}
+
+/**
+ * Get a usable result from a source, ignoring failures
+ * @param {object} record - The lookup record
+ * @param {string} source - The source ID
+ * @returns {object|null}
+ */
+function resultFrom(record, source) {
+  const result = record.results?.[source];
+  return result && !result.error ? result : null;
+}
+
+/**
+ * Map a 0-1 strength onto the opinion vocabulary
+ * @param {number} strength - 0 (clean) to 1 (malicious)
+ * @returns {string}
+ */
+function opinionFor(strength) {
+  if (strength >= 0.75) return 'strongly-agree';
+  if (strength >= 0.5) return 'agree';
+  if (strength >= 0.25) return 'neutral';
+  if (strength > 0) return 'disagree';
+  return 'strongly-disagree';
+}
+
+/**
+ * Build the STIX objects for one lookup record
+ * @param {object} record - The lookup record
+ * @returns {Promise<object[]>}
+ */
+async function recordObjects(record) {
+  const created = new Date(record.timestamp || Date.now()).toISOString();
+  const verdict = record.risk?.verdict || 'unknown';
+  const objects = [];
+
+  const { sco, pattern } = await indicatorObservable(record);
+  objects.push(sco);
+
+  const indicator = domainObject('indicator', created, {
+    name: `${record.indicator} (${verdict})`,
+    description: record.risk
+      ? `PostEvent OSINT verdict ${verdict}, score ${record.risk.score}/100. ${record.risk.reasons.map(reason => reason.text).join('. ')}`.trim()
+      : 'PostEvent OSINT lookup without a verdict',
+    indicator_types: [INDICATOR_TYPES[verdict] || 'unknown'],
+    pattern,
+    pattern_type: 'stix',
+    valid_from: created
+  });
+  objects.push(indicator);
+
+  // Autonomous system the address belongs to
+  const ipinfo = resultFrom(record, 'ipinfo');
+  const vt = resultFrom(record, 'virustotal');
+  const asMatch = String(ipinfo?.asn || '').match(/^AS(\d+)$/i);
+  if (asMatch && record.type === IndicatorTypes.IP) {
+    const asName = ipinfo.org || vt?.asOwner;
+    const as = await observable('autonomous-system', { number: parseInt(asMatch[1]) }, asName ? { name: asName } : {});
+    objects.push(as);
+    objects.push(domainObject('relationship', created, {
+      relationship_type: 'belongs-to',
+      source_ref: sco.id,
+      target_ref: as.id
+    }));
+  }
+
+  // Address a domain resolved to
+  const abuse = resultFrom(record, 'abuseipdb');
+  if (record.type === IndicatorTypes.DOMAIN && abuse?.resolvedIP) {
+    const scoType = getIPVersion(abuse.resolvedIP) === 6 ? 'ipv6-addr' : 'ipv4-addr';
+    const address = await observable(scoType, { value: abuse.resolvedIP });
+    objects.push(address);
+    objects.push(domainObject('relationship', created, {
+      relationship_type: 'resolves-to',
+      source_ref: sco.id,
+      target_ref: address.id
+    }));
+  }
+
+  const refs = [indicator.id, sco.id];
+
+  if (vt?.detections) {
+    const { malicious, total } = vt.detections;
+    const findings = [`Detections: ${malicious}${total ? `/${total}` : ''} vendors flag it as malicious`];
+    if (vt.reputation !== undefined && vt.reputation !== null) findings.push(`Community reputation: ${vt.reputation}`);
+    if (vt.threatLabel) findings.push(`Threat label: ${vt.threatLabel}`);
+
+    objects.push(domainObject('note', created, {
+      abstract: 'VirusTotal detections',
+      content: findings.join('\n'),
+      object_refs: refs
+    }));
+    objects.push(domainObject('opinion', created, {
+      opinion: opinionFor(Math.min(1, malicious / 5)),
+      explanation: `VirusTotal: ${malicious}${total ? `/${total}` : ''} vendors flag ${record.indicator} as malicious`,
+      object_refs: refs
+    }));
+  }
+
+  if (abuse && abuse.confidenceScore !== undefined && abuse.confidenceScore !== null) {
+    const findings = [`Abuse confidence: ${abuse.confidenceScore}%`];
+    if (abuse.totalReports !== undefined && abuse.totalReports !== null) findings.push(`Total reports: ${abuse.totalReports}`);
+    if (abuse.usageType) findings.push(`Usage type: ${abuse.usageType}`);
+    if (abuse.isp) findings.push(`ISP: ${abuse.isp}`);
+
+    objects.push(domainObject('note', created, {
+      abstract: 'AbuseIPDB confidence',
+      content: findings.join('\n'),
+      object_refs: refs
+    }));
+    objects.push(domainObject('opinion', created, {
+      opinion: opinionFor(abuse.confidenceScore / 100),
+      explanation: `AbuseIPDB: ${abuse.confidenceScore}% confidence that ${record.indicator} is abusive`,
+      object_refs: refs
+    }));
+  }
+
+  return objects;
+}
+
+/**
+ * Build a STIX 2.1 bundle from lookup records
+ * Observables shared between records (e.g. an AS) appear once
+ * @param {object[]} records - Lookup records
+ * @returns {Promise<object>} The bundle
+ */
+export async function buildStixBundle(records) {
+  const objects = [{
+    type: 'identity',
+    spec_version: '2.1',
+    id: IDENTITY_ID,
+    created: '2024-01-01T00:00:00.000Z',
+    modified: '2024-01-01T00:00:00.000Z',
+    name: 'PostEvent OSINT',
+    identity_class: 'system'
+  }];
+
+  const seen = new Set([IDENTITY_ID]);
+  for (const record of records) {
+    for (const object of await recordObjects(record)) {
+      if (!seen.has(object.id)) {
+        seen.add(object.id);
+        objects.push(object);
+      }
+    }
+  }
+
+  return {
+    type: 'bundle',
+    id: `bundle--${crypto.randomUUID()}`,
+    objects
+  };
+}
+
+/**
+ * Build a STIX 2.1 bundle as pretty-printed JSON
+ * @param {object[]} records - Lookup records
+ * @returns {Promise<string>}
+ */
+export async function toSTIX(records) {
+  return JSON.stringify(await buildStixBundle(records), null, 2);
+}
@@ -0,0 +1,294 @@
+import { SOURCES, getSourceTimeouts } from '../lib/sources.js';
+import { SIGNALS } from '../lib/scoring.js';
+import { DEFAULT_SETTINGS, MAX_BULK_CONCURRENCY, getApiKeys, getSettings, saveApiKeys, saveSettings } from '../lib/settings.js';
+import { pruneCache } from '../lib/cache.js';
+import { applyColors } from '../popup/utils.js';
+
+// DOM Elements
+const optionsForm = document.getElementById('options-form');
+const sourceFields = document.getElementById('source-fields');
+const lookupTimeout = document.getElementById('lookup-timeout');
+const cacheTtlFields = document.getElementById('cache-ttl-fields');
+const clearCacheBtn = document.getElementById('clear-cache');
+const apiFields = document.getElementById('api-fields');
+const bulkConcurrency = document.getElementById('bulk-concurrency');
+const pageLimit = document.getElementById('page-limit');
+const historyLimit = document.getElementById('history-limit');
+const captureEvidence = document.getElementById('capture-evidence');
+const challengeHandoff = document.getElementById('challenge-handoff');
+const scoringWeightFields = document.getElementById('scoring-weight-fields');
+const thresholdSuspicious = document.getElementById('threshold-suspicious');
+const thresholdMalicious = document.getElementById('threshold-malicious');
+const abuseWarning = document.getElementById('abuse-warning');
+const abuseDanger = document.getElementById('abuse-danger');
+const reputationWarning = document.getElementById('reputation-warning');
+const reputationDanger = document.getElementById('reputation-danger');
+const colorInputs = {
+  danger: document.getElementById('color-danger'),
+  warning: document.getElementById('color-warning'),
+  safe: document.getElementById('color-safe')
+};
+const optionsStatus = document.getElementById('options-status');
+
+// What each scraper time budget covers (see the scrapers' *_TIMEOUTS)
+const TIMEOUT_LABELS = {
+  navigation: 'Page load',
+  render: 'Wait for the report',
+  response: 'Wait for the report data'
+};
+
+// Flash a status message next to the save button
+function showStatus(message) {
+  optionsStatus.textContent = message;
+  setTimeout(() => {
+    optionsStatus.textContent = '';
+  }, 2000);
+}
+
+// Read a number input, falling back when it is empty or invalid
+function readNumber(input, fallback, min = 0) {
+  const value = parseInt(input.value);
+  return Number.isNaN(value) ? fallback : Math.max(min, value);
+}
+
+// Whether a source has an official API client for any indicator type
+function hasApi(source) {
+  return Object.values(source.types).some(type => type.api);
+}
+
+// Read the API fields into the synced settings and the keys kept apart from them,
+// or null with the name of a source whose base URL is invalid
+function readApiSettings() {
+  const api = {};
+  const keys = {};
+  for (const group of apiFields.querySelectorAll('[data-source]')) {
+    const id = group.dataset.source;
+    const baseUrl = group.querySelector('[data-field="baseUrl"]').value.trim() || DEFAULT_SETTINGS.api[id].baseUrl;
+    if (!URL.canParse(baseUrl) || !/^https?:$/.test(new URL(baseUrl).protocol)) {
+      return { api: null, keys: null, invalid: SOURCES.find(s => s.id === id).name };
+    }
+    api[id] = { baseUrl };
+    keys[id] = group.querySelector('[data-field="key"]').value.trim();
+  }
+  return { api, keys, invalid: null };
+}
+
+// Fill the form from the current settings and API keys
+function renderSettings(settings, apiKeys) {
+  sourceFields.innerHTML = '';
+  SOURCES.forEach(source => {
+    const group = document.createElement('div');
+    group.className = 'option-group';
+    group.dataset.source = source.id;
+    group.innerHTML = `
+      <h3></h3>
+      <label class="option-row">
+        <span>Enabled</span>
+        <input type="checkbox" data-field="enabled">
+      </label>
+    `;
+    group.querySelector('h3').textContent = source.name;
+    group.querySelector('[data-field="enabled"]').checked = !settings.disabledSources.includes(source.id);
+
+    const timeouts = getSourceTimeouts(source, settings);
+    Object.keys(source.timeouts).forEach(key => {
+      const row = document.createElement('label');
+      row.className = 'option-row';
+      row.innerHTML = `
+        <span></span>
+        <span>
+          <input type="number" min="1000" step="1000" data-timeout="${key}">
+          <span class="option-unit">ms</span>
+        </span>
+      `;
+      row.querySelector('span').textContent = TIMEOUT_LABELS[key] || key;
+      row.querySelector('input').value = timeouts[key];
+      group.appendChild(row);
+    });
+    sourceFields.appendChild(group);
+  });
+  lookupTimeout.value = settings.lookupTimeout;
+
+  cacheTtlFields.innerHTML = '';
+  SOURCES.forEach(source => {
+    const row = document.createElement('label');
+    row.className = 'option-row';
+    row.innerHTML = `
+      <span></span>
+      <span>
+        <input type="number" min="0" data-source="${source.id}">
+        <span class="option-unit">min</span>
+      </span>
+    `;
+    row.querySelector('span').textContent = source.name;
+    row.querySelector('input').value = settings.cacheTtl[source.id] ?? source.cacheTtl;
+    cacheTtlFields.appendChild(row);
+  });
+
+  apiFields.innerHTML = '';
+  SOURCES.filter(hasApi).forEach(source => {
+    const config = settings.api[source.id] || {};
+    const group = document.createElement('div');
+    group.className = 'option-group';
+    group.dataset.source = source.id;
+    group.innerHTML = `
+      <h3></h3>
+      <label class="option-row">
+        <span>API key</span>
+        <input type="password" class="option-wide" data-field="key" autocomplete="off">
+      </label>
+      <label class="option-row">
+        <span>Base URL</span>
+        <input type="text" class="option-wide" data-field="baseUrl" spellcheck="false">
+      </label>
+    `;
+    group.querySelector('h3').textContent = source.name;
+    group.querySelector('[data-field="key"]').value = apiKeys[source.id] || '';
+    group.querySelector('[data-field="baseUrl"]').value = config.baseUrl || '';
+    apiFields.appendChild(group);
+  });
+
+  scoringWeightFields.innerHTML = '';
+  SIGNALS.forEach(signal => {
+    const row = document.createElement('label');
+    row.className = 'option-row';
+    row.innerHTML = `
+      <span></span>
+      <span>
+        <input type="number" min="0" max="100" data-signal="${signal.id}">
+        <span class="option-unit">pts</span>
+      </span>
+    `;
+    row.querySelector('span').textContent = signal.label;
+    row.querySelector('input').value = settings.scoring.weights[signal.id] ?? 0;
+    scoringWeightFields.appendChild(row);
+  });
+  thresholdSuspicious.value = settings.scoring.thresholds.suspicious;
+  thresholdMalicious.value = settings.scoring.thresholds.malicious;
+
+  abuseWarning.value = settings.scoreThresholds.abuse.warning;
+  abuseDanger.value = settings.scoreThresholds.abuse.danger;
+  reputationWarning.value = settings.scoreThresholds.reputation.warning;
+  reputationDanger.value = settings.scoreThresholds.reputation.danger;
+  Object.entries(colorInputs).forEach(([tone, input]) => {
+    input.value = settings.colors[tone];
+  });
+  applyColors(settings.colors);
+
+  bulkConcurrency.max = MAX_BULK_CONCURRENCY;
+  bulkConcurrency.value = settings.bulkConcurrency;
+  pageLimit.value = settings.pageLimit;
+  historyLimit.value = settings.historyLimit;
+  captureEvidence.checked = settings.captureEvidence;
+  challengeHandoff.checked = settings.challengeHandoff;
+}
+
+optionsForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const { api, keys, invalid } = readApiSettings();
+  if (!api) {
+    showStatus(`${invalid} base URL must be an http(s) address`);
+    return;
+  }
+
+  // The background fetches from each keyed API's host; custom base URLs (a
+  // mock server) need their host granted, which has to happen in this click
+  const origins = [...new Set(Object.keys(api).filter(id => keys[id]).map(id => `${new URL(api[id].baseUrl).origin}/*`))];
+  const granted = origins.length
+    ? await chrome.permissions.request({ origins }).catch(err => {
+      console.warn('Failed to request API host access:', err);
+      return false;
+    })
+    : true;
+
+  const settings = await getSettings();
+  const disabledSources = [];
+  const timeouts = {};
+  sourceFields.querySelectorAll('[data-source]').forEach(group => {
+    const source = SOURCES.find(s => s.id === group.dataset.source);
+    if (!group.querySelector('[data-field="enabled"]').checked) disabledSources.push(source.id);
+
+    timeouts[source.id] = {};
+    group.querySelectorAll('input[data-timeout]').forEach(input => {
+      const key = input.dataset.timeout;
+      timeouts[source.id][key] = readNumber(input, source.timeouts[key], 1000);
+    });
+  });
+
+  const cacheTtl = {};
+  cacheTtlFields.querySelectorAll('input[data-source]').forEach(input => {
+    const source = SOURCES.find(s => s.id === input.dataset.source);
+    cacheTtl[source.id] = readNumber(input, source.cacheTtl);
+  });
+
+  const weights = {};
+  scoringWeightFields.querySelectorAll('input[data-signal]').forEach(input => {
+    const signal = input.dataset.signal;
+    weights[signal] = readNumber(input, DEFAULT_SETTINGS.scoring.weights[signal] ?? 0);
+  });
+
+  const suspicious = Math.min(100, readNumber(thresholdSuspicious, settings.scoring.thresholds.suspicious));
+  const malicious = Math.min(100, readNumber(thresholdMalicious, settings.scoring.thresholds.malicious));
+  if (malicious < suspicious) {
+    showStatus('Malicious threshold must not be below suspicious');
+    return;
+  }
+
+  const scoreThresholds = {
+    abuse: {
+      warning: Math.min(100, readNumber(abuseWarning, settings.scoreThresholds.abuse.warning)),
+      danger: Math.min(100, readNumber(abuseDanger, settings.scoreThresholds.abuse.danger))
+    },
+    reputation: {
+      warning: readNumber(reputationWarning, settings.scoreThresholds.reputation.warning, -Infinity),
+      danger: readNumber(reputationDanger, settings.scoreThresholds.reputation.danger, -Infinity)
+    }
+  };
+  if (scoreThresholds.abuse.danger < scoreThresholds.abuse.warning) {
+    showStatus('AbuseIPDB danger threshold must not be below warning');
+    return;
+  }
+  if (scoreThresholds.reputation.danger > scoreThresholds.reputation.warning) {
+    showStatus('VirusTotal danger threshold must not be above warning');
+    return;
+  }
+
+  const colors = Object.fromEntries(Object.entries(colorInputs).map(([tone, input]) => [tone, input.value]));
+
+  try {
+    await saveApiKeys(keys);
+    const saved = await saveSettings({
+      disabledSources,
+      timeouts,
+      lookupTimeout: readNumber(lookupTimeout, settings.lookupTimeout, 10000),
+      scoreThresholds,
+      colors,
+      cacheTtl,
+      scoring: { weights, thresholds: { suspicious, malicious } },
+      bulkConcurrency: Math.min(MAX_BULK_CONCURRENCY, readNumber(bulkConcurrency, settings.bulkConcurrency, 1)),
+      pageLimit: Math.min(10, readNumber(pageLimit, settings.pageLimit, 1)),
+      historyLimit: readNumber(historyLimit, settings.historyLimit, 1),
+      captureEvidence: captureEvidence.checked,
+      challengeHandoff: challengeHandoff.checked,
+      api
+    });
+    applyColors(saved.colors);
+    showStatus(granted ? 'Saved' : 'Saved, but API access was not granted - those sources will be scraped');
+  } catch (err) {
+    console.error('Failed to save settings:', err);
+    showStatus('Failed to save');
+  }
+});
+
+clearCacheBtn.addEventListener('click', async () => {
+  try {
+    const removed = await pruneCache();
+    showStatus(`Cleared ${removed} cached result${removed === 1 ? '' : 's'}`);
+  } catch (err) {
+    console.error('Failed to clear cache:', err);
+    showStatus('Failed to clear cache');
+  }
+});
+
+Promise.all([getSettings(), getApiKeys()]).then(([settings, apiKeys]) => renderSettings(settings, apiKeys));
@@ -0,0 +1,184 @@
+/**
+ * AbuseIPDB Parser
+ * Reads the report off an AbuseIPDB check page
+ *
+ * snapshotAbuseIPDB() runs in the page and reduces it to plain data; the parse
+ * functions turn that data into the scraper's result and are pure, so they run
+ * the same in the page (see Page.extract) and in Node against the saved
+ * snapshots in test/fixtures/abuseipdb. Every function here is sent to the page
+ * as source text and must not use anything else from this module.
+ */
+
+// AbuseIPDB's fixed report category names
+export const REPORT_CATEGORIES = [
+  'DNS Compromise', 'DNS Poisoning', 'Fraud Orders', 'DDoS Attack', 'FTP Brute-Force',
+  'Ping of Death', 'Phishing', 'Fraud VoIP', 'Open Proxy', 'Web Spam', 'Email Spam',
+  'Blog Spam', 'VPN IP', 'Port Scan', 'Hacking', 'SQL Injection', 'Spoofing',
+  'Brute-Force', 'Bad Web Bot', 'Exploited Host', 'Web App Attack', 'SSH', 'IoT Targeted'
+];
+
+/**
+ * Reduce a check page to the data the parsers read (runs in the page)
+ * @returns {object} { text, gauge, rows, flag, reportsText } where `rows` are the
+ *   [label, value] pairs of the page's th/td table rows
+ */
+export function snapshotAbuseIPDB() {
+  const gauge = document.querySelector('.gauge-text, [class*="gauge"] .text, .abuse-score');
+  const flag = document.querySelector('img[src*="flag"], img[alt*="flag"], .flag');
+  const reports = document.querySelector('#reports');
+
+  return {
+    text: document.body.innerText,
+    gauge: gauge ? gauge.textContent : null,
+    rows: Array.from(document.querySelectorAll('table tr'), row => [row.querySelector('th'), row.querySelector('td')])
+      .filter(([th, td]) => th && td)
+      .map(([th, td]) => [th.textContent.trim(), td.textContent.trim()]),
+    flag: flag ? { alt: flag.getAttribute('alt') || '', title: flag.getAttribute('title') || '' } : null,
+    reportsText: reports ? reports.innerText : null
+  };
+}
+
+/**
+ * Parse the report on an IP address check page
+ * @param {object} snapshot - See snapshotAbuseIPDB()
+ * @returns {object} The scraper's IP result
+ */
+export function parseAbuseIPDB(snapshot) {
+  const result = {
+    confidenceScore: null,
+    totalReports: null,
+    lastReported: null,
+    isp: null,
+    usageType: null,
+    domain: null,
+    countryCode: null,
+    hostname: null,
+    warning: null
+  };
+
+  const pageText = snapshot.text;
+
+  if (pageText.toLowerCase().includes('was not found in our database')) {
+    result.confidenceScore = 0;
+    result.totalReports = 0;
+    result.warning = 'IP not found in AbuseIPDB database';
+    return result;
+  }
+
+  // The confidence score: the gauge shows just the number, the text "X% Confidence of Abuse"
+  const gaugeMatch = snapshot.gauge && snapshot.gauge.match(/(\d+)/);
+  const percentMatch = pageText.match(/(\d+)%\s*(?:confidence|abuse)/i) ||
+    pageText.match(/confidence[^\d]*(\d+)%/i) ||
+    pageText.match(/abuse[^\d]*(\d+)%/i) ||
+    pageText.replace(/\s+/g, ' ').match(/abuse[^.]*?(\d+)\s*%/i);
+  const confidenceMatch = gaugeMatch || percentMatch;
+  if (confidenceMatch) {
+    result.confidenceScore = parseInt(confidenceMatch[1]);
+  }
+
+  // Total reports - "reported X times"
+  const reportsPatterns = [
+    /reported\s+(\d+)\s*times?/i,
+    /been\s+reported\s+(\d+)/i,
+    /(\d+)\s+reports?/i,
+    /total\s+reports?[:\s]*(\d+)/i
+  ];
+  for (const pattern of reportsPatterns) {
+    const match = pageText.match(pattern);
+    if (match) {
+      result.totalReports = parseInt(match[1]);
+      break;
+    }
+  }
+
+  // The details table has th/td pairs
+  for (const [th, value] of snapshot.rows) {
+    const label = th.toLowerCase();
+    if (label === 'isp' && !result.isp) {
+      result.isp = value;
+    }
+    if (label === 'usage type' && !result.usageType) {
+      result.usageType = value;
+    }
+    if (label === 'domain name' && !result.domain) {
+      result.domain = value;
+    }
+    if (label === 'country' && !result.countryCode) {
+      // Drop the flag emoji
+      result.countryCode = value.replace(/[\u{1F1E0}-\u{1F1FF}]/gu, '').trim();
+    }
+    if (label === 'hostname(s)' && !result.hostname) {
+      result.hostname = value.split('\n')[0].trim();
+    }
+  }
+
+  // Fall back to "Label: value" in the page text
+  function extractAfterLabel(label) {
+    const match = pageText.match(new RegExp(label + '[:\\s]+([^\\n]+)', 'i'));
+    if (!match) return null;
+    return match[1].trim().split(/\t|\s{3,}/)[0].trim() || null;
+  }
+
+  if (!result.isp) result.isp = extractAfterLabel('ISP');
+  if (!result.usageType) result.usageType = extractAfterLabel('Usage Type');
+  if (!result.domain) result.domain = extractAfterLabel('Domain');
+
+  // The country is often shown as a flag image
+  if (snapshot.flag) {
+    if (snapshot.flag.alt) result.countryCode = snapshot.flag.alt.replace(/flag/i, '').trim();
+    else if (snapshot.flag.title) result.countryCode = snapshot.flag.title;
+  }
+
+  if (!result.countryCode) {
+    const countryMatch = pageText.match(/Country[:\s]+([A-Za-z\s]+)/i);
+    if (countryMatch) {
+      result.countryCode = countryMatch[1].trim().split('\n')[0];
+    }
+  }
+
+  const lastReportMatch = pageText.match(/last\s+reported[:\s]+([^\n]+)/i) ||
+    pageText.match(/most\s+recent\s+report[:\s]+([^\n]+)/i);
+  if (lastReportMatch) {
+    result.lastReported = lastReportMatch[1].trim().substring(0, 50);
+  }
+
+  const hasData = result.confidenceScore !== null || result.totalReports !== null || result.isp;
+  if (!hasData) {
+    result.warning = 'Limited data extracted - page may require interaction or structure changed';
+  }
+
+  return result;
+}
+
+/**
+ * Parse the report on a domain check page
+ * AbuseIPDB resolves the domain and reports on the address it points to.
+ * Calls parseAbuseIPDB(), which has to be injected along with it.
+ * @param {object} snapshot - See snapshotAbuseIPDB()
+ * @param {string[]} categories - Report category names, see REPORT_CATEGORIES
+ * @returns {object} The scraper's domain result
+ */
+export function parseAbuseIPDBDomain(snapshot, categories) {
+  const result = parseAbuseIPDB(snapshot);
+  result.resolvedIP = null;
+  result.categories = [];
+
+  const pageText = snapshot.text;
+
+  if (/(?:unable to|could not|cannot|can't) resolve/i.test(pageText)) {
+    result.warning = 'Domain does not resolve - AbuseIPDB has no address to report on';
+    return result;
+  }
+
+  // "142.250.80.46 was found in our database!" names the resolved address
+  const ipMatch = pageText.match(/([0-9a-f]*[.:][0-9a-f.:]+)\s+was\s+(?:not\s+)?found\s+in\s+our\s+database/i);
+  if (ipMatch) {
+    result.resolvedIP = ipMatch[1];
+  }
+
+  // Categories reporters filed the address under
+  const reportsText = snapshot.reportsText ?? pageText;
+  result.categories = categories.filter(name => reportsText.includes(name));
+
+  return result;
+}
@@ -0,0 +1,168 @@
+/**
+ * IPInfo Parser
+ * Reads geolocation and network details off an ipinfo.io IP page
+ *
+ * snapshotIPInfo() runs in the page and reduces it to plain data; parseIPInfo()
+ * turns that data into the scraper's result and is pure, so it runs the same in
+ * the page (see Page.extract) and in Node against the saved snapshots in
+ * test/fixtures/ipinfo. Both are sent to the page as source text and must not
+ * use anything else from this module.
+ */
+
+/**
+ * Reduce an IP page to the data the parser reads (runs in the page)
+ * @returns {object} { text, jsonLd } - the page text and the raw JSON-LD blocks
+ */
+export function snapshotIPInfo() {
+  return {
+    text: document.body.innerText,
+    jsonLd: Array.from(document.querySelectorAll('script[type="application/ld+json"]'), script => script.textContent)
+  };
+}
+
+/**
+ * Parse an IP page
+ * The JSON-LD structured data is read first; the page text fills in the rest
+ * @param {object} snapshot - See snapshotIPInfo()
+ * @returns {object} The scraper's result
+ */
+export function parseIPInfo(snapshot) {
+  const result = {
+    city: null,
+    region: null,
+    country: null,
+    org: null,
+    asn: null,
+    hostname: null,
+    postal: null,
+    timezone: null,
+    loc: null,
+    network: null,
+    asnType: null,
+    hosting: null,
+    warning: null
+  };
+
+  for (const block of snapshot.jsonLd) {
+    try {
+      const json = JSON.parse(block);
+
+      // Address info
+      if (json.contentLocation) {
+        const loc = json.contentLocation;
+        if (loc.address) {
+          // IPInfo uses non-standard field names: streetAddress holds "City, State"
+          const streetAddr = loc.address.streetAddress || '';
+          if (streetAddr.includes(',')) {
+            const parts = streetAddr.split(',');
+            result.city = parts[0].trim();
+            if (parts[1]) result.region = parts[1].trim();
+          }
+          // addressRegion sometimes has the full "City, State"
+          if (!result.region && loc.address.addressRegion) {
+            const regionParts = loc.address.addressRegion.split(',');
+            result.region = regionParts.length > 1 ? regionParts[1].trim() : loc.address.addressRegion;
+          }
+          result.country = loc.address.addressCountry || result.country;
+          // IPInfo uses "PostalCode" (capital P), not "postalCode"
+          result.postal = loc.address.PostalCode || loc.address.postalCode || result.postal;
+        }
+        if (loc.geo) {
+          result.loc = loc.geo.latitude + ',' + loc.geo.longitude;
+        }
+      }
+
+      // variableMeasured lists the company as "Company Name (domain.com)", the
+      // ASN as "AS15169 Google LLC" and the hostname on its own
+      if (Array.isArray(json.variableMeasured)) {
+        const values = json.variableMeasured.filter(value => typeof value === 'string');
+
+        const companyEntry = values.find(value => /\([a-z0-9.-]+\.[a-z]{2,}\)$/i.test(value));
+        if (companyEntry) {
+          result.org = companyEntry.split('(')[0].trim();
+        }
+
+        const asnEntry = values.find(value => /^AS\d+/.test(value));
+        if (asnEntry) {
+          result.asn = asnEntry.match(/^(AS\d+)/)[1];
+        }
+
+        const hostnameEntry = values.find(value => /^[a-z0-9.-]+\.[a-z]{2,}$/i.test(value) && !value.includes('('));
+        if (hostnameEntry) {
+          result.hostname = hostnameEntry;
+        }
+      }
+
+      // Fallback: company or provider name
+      if (!result.org && json.company && json.company.name) {
+        result.org = json.company.name;
+      }
+      if (!result.org && json.provider && json.provider.name) {
+        result.org = json.provider.name;
+      }
+    } catch (e) {
+      console.warn('Failed to parse JSON-LD:', e);
+    }
+  }
+
+  const pageText = snapshot.text;
+
+  // Value after a label in the page text, up to a tab or a wide gap
+  function findValue(label) {
+    const match = pageText.match(new RegExp(label + '[:\\s]+([^\\n]+)', 'i'));
+    if (!match) return null;
+    return match[1].trim().split(/\t|\s{2,}/)[0].trim() || null;
+  }
+
+  if (!result.asn) {
+    const asnMatch = pageText.match(/AS(\d+)/);
+    if (asnMatch) {
+      result.asn = 'AS' + asnMatch[1];
+    }
+  }
+
+  if (!result.hostname) {
+    const hostnameMatch = pageText.match(/Hostname[:\s]+([a-zA-Z0-9.-]+)/i);
+    if (hostnameMatch) {
+      result.hostname = hostnameMatch[1];
+    }
+  }
+
+  // The IP range - IPv4 (8.8.8.0/24) or IPv6 (2001:4860::/32) CIDR
+  const rangeMatch = pageText.match(/(?:Range|Network)[:\s]+((?:\d{1,3}\.){3}\d{1,3}\/\d{1,2}|[0-9a-f:]*:[0-9a-f:]*\/\d{1,3})/i);
+  if (rangeMatch) {
+    result.network = rangeMatch[1].toLowerCase();
+  }
+
+  // ASN type (isp, hosting, business, education) and the privacy "Hosting" flag
+  const asnTypeMatch = pageText.match(/ASN type[:\s]+(isp|hosting|business|education|government)/i);
+  if (asnTypeMatch) {
+    result.asnType = asnTypeMatch[1].toLowerCase();
+  }
+
+  const hostingMatch = pageText.match(/Hosting[:\s]+(true|false)\b/i);
+  if (hostingMatch) {
+    result.hosting = hostingMatch[1].toLowerCase() === 'true';
+  }
+
+  if (!result.timezone) {
+    const tzMatch = pageText.match(/Timezone[:\s]+([A-Za-z_/]+)/i);
+    if (tzMatch) {
+      result.timezone = tzMatch[1];
+    }
+  }
+
+  if (!result.city) result.city = findValue('City');
+  if (!result.region) result.region = findValue('Region');
+  if (!result.country) result.country = findValue('Country');
+  if (!result.org) result.org = findValue('Company');
+  if (!result.org) result.org = findValue('Org');
+  if (!result.postal) result.postal = findValue('Postal');
+
+  const hasData = result.city || result.country || result.org || result.asn;
+  if (!hasData) {
+    result.warning = 'Limited data extracted - page structure may have changed';
+  }
+
+  return result;
+}
@@ -0,0 +1,416 @@
+/**
+ * VirusTotal Parser
+ * Reads IP address, domain and file reports off the rendered VirusTotal GUI
+ *
+ * VirusTotal is a Polymer SPA that renders into shadow roots, so
+ * snapshotVirusTotal() runs in the page and collects the text of every text
+ * node, shadow roots included, with the few elements the parsers look at. The
+ * parse functions turn that data into the scraper's results and are pure, so
+ * they run the same in the page (see Page.extract) and in Node against the
+ * saved snapshots in test/fixtures/virustotal. Every function here is sent to
+ * the page as source text: the parsers call the helpers in PARSE_HELPERS, which
+ * have to be injected with them, and nothing else from this module.
+ */
+
+// Vendors whose file verdicts are reported individually
+export const SELECTED_VENDORS = [
+  'Microsoft', 'Kaspersky', 'CrowdStrike Falcon', 'ESET-NOD32', 'BitDefender',
+  'Sophos', 'Symantec', 'SentinelOne (Static ML)', 'Google'
+];
+
+/**
+ * Reduce a VirusTotal page to the data the parsers read (runs in the page)
+ * @returns {object} { textNodes, captcha, detectionWidgets, scoreWidgets, times, flag }
+ */
+export function snapshotVirusTotal() {
+  // Raw content of every text node, descending into shadow roots
+  const textNodes = [];
+  (function traverse(node) {
+    if (node.shadowRoot) traverse(node.shadowRoot);
+    if (node.nodeType === Node.TEXT_NODE) textNodes.push(node.textContent);
+    for (const child of node.childNodes || []) traverse(child);
+  })(document.body);
+
+  const texts = selector => Array.from(document.querySelectorAll(selector), el => el.textContent);
+  const flag = document.querySelector('[class*="flag"], img[alt*="flag"]');
+
+  return {
+    textNodes,
+    captcha: !!document.querySelector('.g-recaptcha[data-sitekey], #captcha-container'),
+    detectionWidgets: texts('vt-ui-detections-widget, [class*="detection"], [class*="positives"], [class*="malicious"]'),
+    scoreWidgets: texts('[class*="reputation"], [class*="score"], vt-ui-community-score'),
+    times: Array.from(document.querySelectorAll('time, [datetime]'), el => el.getAttribute('datetime') || el.textContent),
+    flag: flag ? flag.getAttribute('alt') || flag.getAttribute('title') || '' : null
+  };
+}
+
+/**
+ * The snapshot's text in the forms the parsers match against
+ * @param {object} snapshot - See snapshotVirusTotal()
+ * @returns {{pageText: string, normalizedText: string, textNodes: string[]}} The
+ *   joined text, the same with whitespace collapsed, and the non-empty nodes trimmed
+ */
+function readText(snapshot) {
+  const pageText = snapshot.textNodes.map(text => text + ' ').join('');
+  return {
+    pageText,
+    normalizedText: pageText.replace(/\s+/g, ' ').trim(),
+    textNodes: snapshot.textNodes.map(text => text.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Tell a CAPTCHA or an empty page from a report
+ * Kept specific to avoid false positives on real reports
+ * @param {object} snapshot - See snapshotVirusTotal()
+ * @param {string} normalizedText - The page text, whitespace collapsed
+ * @returns {string|null} The warning, or null for a report
+ */
+function detectBlocked(snapshot, normalizedText) {
+  if (snapshot.captcha) {
+    return 'CAPTCHA or verification required - please visit VirusTotal directly';
+  }
+  if (normalizedText.length < 500) {
+    return 'Page did not load properly - VirusTotal may be blocking automated access';
+  }
+  return null;
+}
+
+/**
+ * Detection stats as the header shows them, e.g. "0 / 94" or "1/94 security vendors"
+ * @param {object} snapshot - See snapshotVirusTotal()
+ * @param {string} normalizedText - The page text, whitespace collapsed
+ * @returns {{malicious: number, total: number|null}|null}
+ */
+function extractDetections(snapshot, normalizedText) {
+  const detectionPatterns = [
+    /(\d+)\s*\/\s*(\d+)\s*(?:security\s+vendors?|engines?)/i,
+    /(?<![\d.:])(\d+)\s*\/\s*(\d+)/, // Plain X/Y, not a CIDR prefix like 8.8.8.0/24 or 2001:db8::/32
+    /(\d+)\s+security\s+vendors?.*(?:flagged|detected|malicious)/i,
+    /flagged.*?(\d+)\s*\/\s*(\d+)/i,
+    /(\d+)\s*malicious/i
+  ];
+
+  for (const pattern of detectionPatterns) {
+    const match = normalizedText.match(pattern);
+    if (match) {
+      return {
+        malicious: parseInt(match[1]),
+        total: match[2] ? parseInt(match[2]) : null
+      };
+    }
+  }
+
+  for (const text of snapshot.detectionWidgets) {
+    const match = text.match(/(\d+)\s*\/\s*(\d+)/);
+    if (match) {
+      return { malicious: parseInt(match[1]), total: parseInt(match[2]) };
+    }
+  }
+  return null;
+}
+
+/**
+ * The community reputation score
+ * @param {object} snapshot - See snapshotVirusTotal()
+ * @param {string} normalizedText - The page text, whitespace collapsed
+ * @returns {number|null}
+ */
+function extractReputation(snapshot, normalizedText) {
+  const repPatterns = [
+    /reputation[:\s]+(-?\d+)/i,
+    /community\s+score[:\s]+(-?\d+)/i
+  ];
+
+  for (const pattern of repPatterns) {
+    const match = normalizedText.match(pattern);
+    if (match) {
+      return parseInt(match[1]);
+    }
+  }
+
+  for (const text of snapshot.scoreWidgets) {
+    const match = text.match(/(-?\d+)/);
+    if (match && /reputation|score/i.test(text)) {
+      return parseInt(match[1]);
+    }
+  }
+  return null;
+}
+
+// Helpers the parse functions call, injected along with them
+export const PARSE_HELPERS = [readText, detectBlocked, extractDetections, extractReputation];
+
+/**
+ * Parse an IP address report
+ * @param {object} snapshot - See snapshotVirusTotal()
+ * @returns {object} The scraper's IP result
+ */
+export function parseVirusTotalIP(snapshot) {
+  const { normalizedText } = readText(snapshot);
+
+  const result = {
+    detections: null,
+    reputation: null,
+    lastAnalysis: null,
+    asOwner: null,
+    country: null,
+    network: null,
+    warning: null
+  };
+
+  result.warning = detectBlocked(snapshot, normalizedText);
+  if (result.warning) {
+    return result;
+  }
+
+  result.detections = extractDetections(snapshot, normalizedText);
+  result.reputation = extractReputation(snapshot, normalizedText);
+
+  const datePatterns = [
+    /last\s+analysis[:\s]+([\d-]+)/i,
+    /analyzed[:\s]+([\d-]+)/i,
+    /(\d{4}-\d{2}-\d{2})/
+  ];
+  for (const pattern of datePatterns) {
+    const match = normalizedText.match(pattern);
+    if (match) {
+      result.lastAnalysis = match[1].substring(0, 10);
+      break;
+    }
+  }
+
+  if (!result.lastAnalysis) {
+    const datetime = snapshot.times.find(value => value && /\d{4}/.test(value));
+    if (datetime) {
+      result.lastAnalysis = datetime.trim().substring(0, 10);
+    }
+  }
+
+  // AS owner - VirusTotal shows "AS 15169 ( GOOGLE )"
+  const asPatterns = [
+    /AS\s*(\d+)\s*\(\s*([^)]+)\s*\)/i,
+    /AS\s*(\d+)\s+([A-Za-z][A-Za-z0-9\s]{2,30})/,
+    /autonomous\s+system[:\s]+([^\n]+)/i,
+    /ASN[:\s]+([^\n]+)/i
+  ];
+  for (const pattern of asPatterns) {
+    const match = normalizedText.match(pattern);
+    if (match) {
+      // The AS number patterns capture the name second
+      result.asOwner = (match[2] || match[1]).trim();
+      break;
+    }
+  }
+
+  // The announced network - IPv4 (8.8.8.0/24) or IPv6 (2001:4860::/32) CIDR
+  const networkMatch = normalizedText.match(/network[:\s]+((?:\d{1,3}\.){3}\d{1,3}\/\d{1,2}|[0-9a-f:]*:[0-9a-f:]*\/\d{1,3})/i);
+  if (networkMatch) {
+    result.network = networkMatch[1].toLowerCase();
+  }
+
+  // The country code follows the AS owner: "AS 15169 ( GOOGLE ) US"
+  const countryPatterns = [
+    /\(\s*[A-Z]+\s*\)\s+([A-Z]{2})\s/,
+    /country[:\s]+([A-Za-z\s]+)/i,
+    /located\s+in[:\s]+([A-Za-z\s]+)/i
+  ];
+  for (const pattern of countryPatterns) {
+    const match = normalizedText.match(pattern);
+    if (match) {
+      result.country = match[1].trim().split(' ')[0];
+      break;
+    }
+  }
+
+  if (!result.country && snapshot.flag) {
+    result.country = snapshot.flag.replace(/flag/i, '').trim();
+  }
+
+  const hasData = result.detections || result.reputation !== null || result.asOwner || result.country;
+  if (!hasData) {
+    result.warning = 'Limited data extracted - VirusTotal may require login or page structure changed';
+  }
+
+  return result;
+}
+
+/**
+ * Parse a domain report's details tab
+ * @param {object} snapshot - See snapshotVirusTotal()
+ * @returns {object} The scraper's domain result
+ */
+export function parseVirusTotalDomain(snapshot) {
+  const { pageText, normalizedText, textNodes } = readText(snapshot);
+
+  const result = {
+    detections: null,
+    reputation: null,
+    registrar: null,
+    creationDate: null,
+    categories: [],
+    dnsRecords: [],
+    warning: null
+  };
+
+  result.warning = detectBlocked(snapshot, normalizedText);
+  if (result.warning) {
+    return result;
+  }
+
+  result.detections = extractDetections(snapshot, normalizedText);
+  result.reputation = extractReputation(snapshot, normalizedText);
+
+  // Section headings on the details tab, used to bound each section
+  const headings = ['categories', 'popularity ranks', 'last dns records', 'last https certificate',
+    'whois lookup', 'related tags', 'history', 'jarm fingerprint', 'subject alternative name'];
+  const isHeading = text => headings.includes(text.toLowerCase());
+
+  // Nodes between a heading and the next one
+  function sectionNodes(heading) {
+    const start = textNodes.findIndex(text => text.toLowerCase() === heading);
+    if (start === -1) return [];
+    const nodes = [];
+    for (let i = start + 1; i < textNodes.length && !isHeading(textNodes[i]); i++) {
+      nodes.push(textNodes[i]);
+    }
+    return nodes;
+  }
+
+  // The whois block is preformatted text - "Registrar: MarkMonitor Inc."
+  const registrarMatch = pageText.match(/^\s*Registrar:\s*([^\n]+)/im);
+  if (registrarMatch) {
+    result.registrar = registrarMatch[1].trim();
+  } else {
+    // The header widget shows "Registrar" and the value as separate nodes
+    const index = textNodes.findIndex(text => text.toLowerCase() === 'registrar');
+    if (index !== -1 && textNodes[index + 1]) {
+      result.registrar = textNodes[index + 1];
+    }
+  }
+
+  const creationMatch = pageText.match(/^\s*Creat(?:ion|ed)\s+Date:\s*([^\n]+)/im);
+  if (creationMatch) {
+    const value = creationMatch[1].trim();
+    result.creationDate = /^\d{4}-\d{2}-\d{2}/.test(value) ? value.substring(0, 10) : value;
+  }
+
+  // Categories come as vendor / category pairs - keep the distinct categories
+  const categoryNodes = sectionNodes('categories');
+  for (let i = 1; i < categoryNodes.length; i += 2) {
+    const category = categoryNodes[i].toLowerCase();
+    if (!result.categories.includes(category)) {
+      result.categories.push(category);
+    }
+  }
+
+  // DNS records come as type / TTL / value triples after the column headers
+  const recordTypes = ['A', 'AAAA', 'CNAME', 'MX', 'NS', 'SOA', 'TXT', 'CAA', 'PTR', 'SRV'];
+  const dnsNodes = sectionNodes('last dns records');
+  for (let i = 0; i + 2 < dnsNodes.length && result.dnsRecords.length < 20; i++) {
+    if (recordTypes.includes(dnsNodes[i]) && /^\d+$/.test(dnsNodes[i + 1])) {
+      result.dnsRecords.push({
+        type: dnsNodes[i],
+        ttl: parseInt(dnsNodes[i + 1]),
+        value: dnsNodes[i + 2]
+      });
+      i += 2;
+    }
+  }
+
+  const hasData = result.detections || result.registrar || result.categories.length || result.dnsRecords.length;
+  if (!hasData) {
+    result.warning = 'Limited data extracted - VirusTotal may require login or page structure changed';
+  }
+
+  return result;
+}
+
+/**
+ * Parse a file report's detection tab
+ * @param {object} snapshot - See snapshotVirusTotal()
+ * @param {string[]} vendors - Vendors whose verdicts to read, see SELECTED_VENDORS
+ * @returns {object} The scraper's file result, without the details tab's fields
+ */
+export function parseVirusTotalFile(snapshot, vendors) {
+  const { normalizedText, textNodes } = readText(snapshot);
+
+  const result = {
+    detections: null,
+    threatLabel: null,
+    fileType: null,
+    names: [],
+    firstSubmission: null,
+    lastSubmission: null,
+    vendorVerdicts: {},
+    warning: null
+  };
+
+  if (/no matches found/i.test(normalizedText)) {
+    result.warning = 'File not found in VirusTotal';
+    return result;
+  }
+
+  result.warning = detectBlocked(snapshot, normalizedText);
+  if (result.warning) {
+    return result;
+  }
+
+  result.detections = extractDetections(snapshot, normalizedText);
+
+  // "Popular threat label" is followed by e.g. "trojan.emotet/tlrs"
+  const labelIndex = textNodes.findIndex(text => /^popular threat label$/i.test(text));
+  if (labelIndex !== -1 && textNodes[labelIndex + 1]) {
+    result.threatLabel = textNodes[labelIndex + 1];
+  }
+
+  // Each vendor name is followed by its verdict ("Undetected", "Trojan:Win32/Emotet", ...)
+  for (const vendor of vendors) {
+    const index = textNodes.indexOf(vendor);
+    if (index !== -1 && textNodes[index + 1]) {
+      result.vendorVerdicts[vendor] = textNodes[index + 1];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse a file report's details tab
+ * @param {object} snapshot - See snapshotVirusTotal()
+ * @returns {object} { fileType, firstSubmission, lastSubmission, names }
+ */
+export function parseVirusTotalFileDetails(snapshot) {
+  const { textNodes } = readText(snapshot);
+
+  // Value node that follows a label node
+  function valueAfter(label) {
+    const index = textNodes.findIndex(text => text.toLowerCase() === label);
+    return index !== -1 && textNodes[index + 1] ? textNodes[index + 1] : null;
+  }
+
+  function toDate(value) {
+    const match = value && value.match(/\d{4}-\d{2}-\d{2}/);
+    return match ? match[0] : value;
+  }
+
+  const details = {
+    fileType: valueAfter('file type'),
+    firstSubmission: toDate(valueAfter('first submission')),
+    lastSubmission: toDate(valueAfter('last submission')),
+    names: []
+  };
+
+  // Names are listed one per node until the next section heading
+  const headings = ['signature info', 'portable executable info', 'bundle info', 'elf info',
+    'macho info', 'office info', 'pdf info', 'android info', 'file system actions', 'contacted urls'];
+  const start = textNodes.findIndex(text => text.toLowerCase() === 'names');
+  if (start !== -1) {
+    for (let i = start + 1; i < textNodes.length && details.names.length < 10; i++) {
+      if (headings.includes(textNodes[i].toLowerCase())) break;
+      details.names.push(textNodes[i]);
+    }
+  }
+
+  return details;
+}
@@ -0,0 +1,275 @@
+/**
+ * Bulk Lookup View
+ * Sends a list of indicators to the background queue and shows the results
+ * in a sortable table that fills in as each lookup finishes
+ */
+
+import { parseIndicatorList } from '../lib/indicators.js';
+import { getScoreClass } from '../lib/sources.js';
+import { DEFAULT_SETTINGS, MAX_BULK_CONCURRENCY, getSettings, saveSettings } from '../lib/settings.js';
+import { RETRY_TIMEOUT, escapeHtml, sendMessageWithTimeout } from './utils.js';
+import { initExportBar } from './export.js';
+
+// DOM Elements
+const bulkForm = document.getElementById('bulk-form');
+const bulkInput = document.getElementById('bulk-input');
+const bulkFile = document.getElementById('bulk-file');
+const bulkConcurrency = document.getElementById('bulk-concurrency');
+const bulkRun = document.getElementById('bulk-run');
+const bulkCancel = document.getElementById('bulk-cancel');
+const bulkError = document.getElementById('bulk-error');
+const bulkProgress = document.getElementById('bulk-progress');
+const bulkTable = document.getElementById('bulk-table');
+const bulkBody = bulkTable.querySelector('tbody');
+const bulkExport = document.getElementById('bulk-export');
+
+// Key columns, each pulled from whichever source has the value
+const columns = {
+  indicator: row => row.indicator,
+  detections: row => row.results.virustotal?.detections?.malicious ?? null,
+  abuse: row => row.results.abuseipdb?.confidenceScore ?? null,
+  country: row => row.results.ipinfo?.country || row.results.abuseipdb?.countryCode || row.results.virustotal?.country || null,
+  org: row => row.results.ipinfo?.org || row.results.abuseipdb?.isp || row.results.virustotal?.asOwner || null
+};
+
+let currentJob = null;
+let sortKey = null;
+let sortDirection = 1;
+// Where the abuse column turns warning or danger, from the options
+let scoreThresholds = DEFAULT_SETTINGS.scoreThresholds;
+
+// Show error
+function showBulkError(message) {
+  bulkError.textContent = message;
+  bulkError.classList.remove('hidden');
+}
+
+// Hide error
+function hideBulkError() {
+  bulkError.classList.add('hidden');
+}
+
+// Compare two rows by the current sort column, empty values last
+function compareRows(a, b) {
+  const left = columns[sortKey](a);
+  const right = columns[sortKey](b);
+
+  if (left === null && right === null) return 0;
+  if (left === null) return 1;
+  if (right === null) return -1;
+
+  if (typeof left === 'number' && typeof right === 'number') {
+    return (left - right) * sortDirection;
+  }
+  return String(left).localeCompare(String(right)) * sortDirection;
+}
+
+// Render a single table row
+function renderRow(row) {
+  if (row.status !== 'done') {
+    const labels = {
+      running: '<span class="spinner"></span>',
+      queued: '<span class="bulk-queued">Queued</span>',
+      cancelled: '<span class="bulk-queued">Cancelled</span>'
+    };
+    const label = labels[row.status] || labels.queued;
+    return `
+      <tr>
+        <td class="bulk-indicator" title="${escapeHtml(row.indicator)}">${escapeHtml(row.indicator)}</td>
+        <td colspan="5">${label}</td>
+      </tr>
+    `;
+  }
+
+  const vt = row.results.virustotal;
+  const detections = vt?.detections ? `${vt.detections.malicious}/${vt.detections.total}` : null;
+  const abuse = columns.abuse(row);
+  const hasErrors = Object.values(row.results).some(result => result.error);
+
+  const cell = (value, tone = '') => `<td class="${tone}">${value !== null ? escapeHtml(String(value)) : '-'}</td>`;
+
+  return `
+    <tr>
+      <td class="bulk-indicator" title="${escapeHtml(row.indicator)}">${escapeHtml(row.indicator)}</td>
+      ${cell(detections, vt?.detections?.malicious > 0 ? 'danger' : '')}
+      ${cell(abuse !== null ? `${abuse}%` : null, getScoreClass(abuse, 'abuse', scoreThresholds))}
+      ${cell(columns.country(row))}
+      ${cell(columns.org(row))}
+      <td>
+        ${hasErrors ? `<button class="row-retry-btn" data-indicator="${escapeHtml(row.indicator)}" title="Retry failed sources">&#8635;</button>` : ''}
+      </td>
+    </tr>
+  `;
+}
+
+// Render the whole job: progress line and table
+function renderJob(job) {
+  currentJob = job;
+  if (!job) return;
+
+  const done = job.rows.filter(row => row.status === 'done').length;
+  const progress = {
+    running: `Looking up ${done}/${job.rows.length}...`,
+    cancelled: `Cancelled after ${done}/${job.rows.length} lookups`,
+    done: `Completed ${job.rows.length} lookups`
+  };
+  bulkProgress.textContent = progress[job.status] || progress.done;
+  bulkProgress.classList.remove('hidden');
+  bulkRun.disabled = job.status === 'running';
+  bulkCancel.classList.toggle('hidden', job.status !== 'running');
+  bulkCancel.disabled = false;
+
+  const rows = sortKey ? [...job.rows].sort(compareRows) : job.rows;
+  bulkBody.innerHTML = rows.map(renderRow).join('');
+  bulkTable.classList.remove('hidden');
+  bulkExport.classList.remove('hidden');
+
+  bulkTable.querySelectorAll('th[data-sort]').forEach(th => {
+    th.classList.toggle('sorted-asc', th.dataset.sort === sortKey && sortDirection === 1);
+    th.classList.toggle('sorted-desc', th.dataset.sort === sortKey && sortDirection === -1);
+  });
+}
+
+// Finished rows as lookup records for exporting, in table order
+function getJobRecords() {
+  if (!currentJob) return [];
+
+  const rows = sortKey ? [...currentJob.rows].sort(compareRows) : currentJob.rows;
+  return rows
+    .filter(row => row.status === 'done')
+    .map(({ status, lookupId, ...record }) => ({ id: lookupId, ...record }));
+}
+
+// Retry every failed source of a row through the existing retry action
+async function retryRow(indicator, button) {
+  const row = currentJob?.rows.find(r => r.indicator === indicator);
+  if (!row) return;
+
+  button.disabled = true;
+  const failed = Object.entries(row.results).filter(([, result]) => result.error);
+
+  // The background patches the stored job, which re-renders the row
+  await Promise.allSettled(failed.map(([source]) =>
+    sendMessageWithTimeout({
+      action: 'retry',
+      indicator,
+      source,
+      jobId: currentJob.id,
+      lookupId: row.lookupId
+    }, RETRY_TIMEOUT)
+  ));
+
+  button.disabled = false;
+}
+
+/**
+ * Wire up the bulk view and restore the last bulk job
+ */
+export function initBulk() {
+  bulkConcurrency.max = MAX_BULK_CONCURRENCY;
+  getSettings().then(settings => {
+    bulkConcurrency.value = settings.bulkConcurrency;
+    scoreThresholds = settings.scoreThresholds;
+    if (currentJob) renderJob(currentJob);
+  });
+
+  bulkConcurrency.addEventListener('change', () => {
+    const value = Math.max(1, Math.min(MAX_BULK_CONCURRENCY, parseInt(bulkConcurrency.value) || 1));
+    bulkConcurrency.value = value;
+    saveSettings({ bulkConcurrency: value }).catch(err => {
+      console.warn('Failed to save concurrency:', err);
+    });
+  });
+
+  // Append the file's contents to whatever is already pasted
+  bulkFile.addEventListener('change', async () => {
+    const file = bulkFile.files[0];
+    if (!file) return;
+
+    const text = await file.text();
+    bulkInput.value = [bulkInput.value.trim(), text.trim()].filter(Boolean).join('\n');
+    bulkFile.value = '';
+  });
+
+  bulkForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideBulkError();
+
+    const { indicators, invalid } = parseIndicatorList(bulkInput.value);
+    if (!indicators.length) {
+      showBulkError('No valid IP addresses, domains or file hashes found');
+      return;
+    }
+    if (invalid.length) {
+      showBulkError(`Skipped ${invalid.length} unrecognized entr${invalid.length === 1 ? 'y' : 'ies'}: ${invalid.slice(0, 5).join(', ')}${invalid.length > 5 ? ', ...' : ''}`);
+    }
+
+    bulkRun.disabled = true;
+
+    try {
+      const response = await sendMessageWithTimeout({
+        action: 'bulkLookup',
+        indicators: indicators.map(indicator => indicator.value),
+        concurrency: parseInt(bulkConcurrency.value)
+      }, 10000);
+
+      if (response.error) {
+        showBulkError(response.error);
+        bulkRun.disabled = false;
+      } else {
+        renderJob(response);
+      }
+    } catch (err) {
+      showBulkError('Failed to start bulk lookup. Please try again.');
+      console.error('Bulk lookup error:', err);
+      bulkRun.disabled = false;
+    }
+  });
+
+  // The background marks the rows and saves the job, which re-renders the table
+  bulkCancel.addEventListener('click', async () => {
+    bulkCancel.disabled = true;
+
+    try {
+      const response = await sendMessageWithTimeout({ action: 'cancelBulk' }, 10000);
+      if (response.error) showBulkError(response.error);
+    } catch (err) {
+      showBulkError('Failed to cancel bulk lookup. Please try again.');
+      console.error('Bulk cancel error:', err);
+      bulkCancel.disabled = false;
+    }
+  });
+
+  // Sort by a column, clicking again flips the direction
+  bulkTable.querySelectorAll('th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => {
+      if (sortKey === th.dataset.sort) {
+        sortDirection = -sortDirection;
+      } else {
+        sortKey = th.dataset.sort;
+        sortDirection = 1;
+      }
+      renderJob(currentJob);
+    });
+  });
+
+  initExportBar(bulkExport, getJobRecords);
+
+  bulkBody.addEventListener('click', (e) => {
+    const button = e.target.closest('.row-retry-btn');
+    if (button) retryRow(button.dataset.indicator, button);
+  });
+
+  // Rows fill in as the background saves progress
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.bulkJob) {
+      renderJob(changes.bulkJob.newValue);
+    }
+  });
+
+  chrome.storage.local.get('bulkJob')
+    .then(({ bulkJob }) => renderJob(bulkJob))
+    .catch(err => {
+      console.warn('Failed to load bulk job:', err);
+    });
+}
@@ -0,0 +1,84 @@
+/**
+ * Export Bar
+ * Format picker with download and copy actions, shared by the single,
+ * bulk and history views
+ */
+
+import { EXPORT_FORMATS, exportRecords } from '../lib/export.js';
+
+// Flash feedback on a button, then restore its label
+function flash(button, message) {
+  const label = button.dataset.label || button.textContent;
+  button.dataset.label = label;
+  button.textContent = message;
+  setTimeout(() => {
+    button.textContent = label;
+  }, 1500);
+}
+
+// Save an export to the downloads folder
+async function download({ content, mimeType, filename }) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  try {
+    await chrome.downloads.download({ url, filename, saveAs: false });
+  } finally {
+    // The download has its own copy once it starts
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+}
+
+/**
+ * Wire up an export bar
+ * The bar holds a `.export-format` select and `.export-download` and
+ * `.export-copy` buttons
+ * @param {HTMLElement} bar - The export bar element
+ * @param {function(): object[]} getRecords - Returns the lookup records to export
+ */
+export function initExportBar(bar, getRecords) {
+  const formatSelect = bar.querySelector('.export-format');
+  const downloadBtn = bar.querySelector('.export-download');
+  const copyBtn = bar.querySelector('.export-copy');
+
+  formatSelect.innerHTML = Object.entries(EXPORT_FORMATS)
+    .map(([key, format]) => `<option value="${key}">${format.label}</option>`)
+    .join('');
+
+  // Build the export, or flash a message on the button when there is nothing to export
+  async function build(button) {
+    const records = getRecords();
+    if (!records.length) {
+      flash(button, 'Nothing to export');
+      return null;
+    }
+    return exportRecords(records, formatSelect.value);
+  }
+
+  downloadBtn.addEventListener('click', async () => {
+    try {
+      const exported = await build(downloadBtn);
+      if (!exported) return;
+      await download(exported);
+      flash(downloadBtn, 'Saved');
+    } catch (err) {
+      console.error('Export download failed:', err);
+      flash(downloadBtn, 'Failed');
+    }
+  });
+
+  copyBtn.addEventListener('click', async () => {
+    if (EXPORT_FORMATS[formatSelect.value].binary) {
+      flash(copyBtn, 'Download only');
+      return;
+    }
+
+    try {
+      const exported = await build(copyBtn);
+      if (!exported) return;
+      await navigator.clipboard.writeText(exported.content);
+      flash(copyBtn, 'Copied');
+    } catch (err) {
+      console.error('Export copy failed:', err);
+      flash(copyBtn, 'Failed');
+    }
+  });
+}
@@ -0,0 +1,152 @@
+/**
+ * History View
+ * Lists past lookups with search and filters; opening an entry shows its
+ * stored results without scraping again
+ */
+
+import { escapeHtml, formatAge, sendMessageWithTimeout } from './utils.js';
+import { initExportBar } from './export.js';
+
+// DOM Elements
+const historySearch = document.getElementById('history-search');
+const historyVerdict = document.getElementById('history-verdict');
+const historyCountry = document.getElementById('history-country');
+const historyFrom = document.getElementById('history-from');
+const historyTo = document.getElementById('history-to');
+const historyCount = document.getElementById('history-count');
+const historyList = document.getElementById('history-list');
+const historyClear = document.getElementById('history-clear');
+const historyExport = document.getElementById('history-export');
+
+let entries = [];
+
+// Check an entry against the search box and filters
+function matchesFilters(entry) {
+  const query = historySearch.value.trim().toLowerCase();
+  if (query) {
+    // Search the indicator and every stored value (orgs, ISPs, labels...)
+    const haystack = `${entry.indicator} ${JSON.stringify(entry.results)}`.toLowerCase();
+    if (!haystack.includes(query)) return false;
+  }
+
+  if (historyVerdict.value && entry.verdict !== historyVerdict.value) return false;
+  if (historyCountry.value && entry.country !== historyCountry.value) return false;
+
+  // Date inputs are local calendar days, the "to" day is inclusive
+  if (historyFrom.value && entry.timestamp < new Date(`${historyFrom.value}T00:00`).getTime()) return false;
+  if (historyTo.value && entry.timestamp > new Date(`${historyTo.value}T23:59:59.999`).getTime()) return false;
+
+  return true;
+}
+
+// Offer every country seen in the history, keeping the current choice
+function renderCountryOptions() {
+  const selected = historyCountry.value;
+  const countries = [...new Set(entries.map(entry => entry.country).filter(Boolean))].sort();
+
+  historyCountry.innerHTML = '<option value="">Any country</option>' +
+    countries.map(country => `<option value="${escapeHtml(country)}">${escapeHtml(country)}</option>`).join('');
+  historyCountry.value = countries.includes(selected) ? selected : '';
+}
+
+// Render a single history entry
+function renderEntry(entry) {
+  const date = new Date(entry.timestamp);
+  const meta = [entry.type, formatAge(Date.now() - entry.timestamp), entry.country].filter(Boolean);
+
+  return `
+    <li class="history-item">
+      <button type="button" class="history-open" data-id="${escapeHtml(entry.id)}" title="Opened ${escapeHtml(date.toLocaleString())}">
+        <span class="history-indicator">${escapeHtml(entry.indicator)}</span>
+        <span class="history-meta">${meta.map(escapeHtml).join(' &middot; ')}</span>
+      </button>
+      <span class="verdict-pill ${escapeHtml(entry.verdict)}">${escapeHtml(entry.verdict)}</span>
+      <button type="button" class="history-delete" data-id="${escapeHtml(entry.id)}" title="Delete">&times;</button>
+    </li>
+  `;
+}
+
+// Render the filtered list
+function renderHistory() {
+  const shown = entries.filter(matchesFilters);
+
+  historyCount.textContent = entries.length
+    ? `${shown.length} of ${entries.length} lookups`
+    : 'No lookups yet';
+  historyList.innerHTML = shown.map(renderEntry).join('');
+  historyClear.classList.toggle('hidden', !entries.length);
+  historyExport.classList.toggle('hidden', !entries.length);
+}
+
+// Replace the entries and redraw
+function setEntries(history) {
+  entries = Array.isArray(history) ? history : [];
+  renderCountryOptions();
+  renderHistory();
+}
+
+/**
+ * Wire up the history view and load the stored history
+ * @param {object} options
+ * @param {function(object): void} options.onOpen - Called with the entry to show
+ */
+export function initHistory({ onOpen }) {
+  [historySearch, historyFrom, historyTo].forEach(input => {
+    input.addEventListener('input', renderHistory);
+  });
+  [historyVerdict, historyCountry].forEach(select => {
+    select.addEventListener('change', renderHistory);
+  });
+
+  // Exports follow the search and filters
+  initExportBar(historyExport, () => entries.filter(matchesFilters));
+
+  historyList.addEventListener('click', (e) => {
+    const open = e.target.closest('.history-open');
+    if (open) {
+      const entry = entries.find(item => item.id === open.dataset.id);
+      if (entry) onOpen(entry);
+      return;
+    }
+
+    // The background owns history writes; the list redraws from storage
+    const remove = e.target.closest('.history-delete');
+    if (remove) {
+      remove.disabled = true;
+      sendMessageWithTimeout({ action: 'deleteHistory', id: remove.dataset.id }, 10000)
+        .catch(err => {
+          console.warn('Failed to delete history entry:', err);
+          remove.disabled = false;
+        });
+    }
+  });
+
+  // Ask for a second click before wiping everything
+  historyClear.addEventListener('click', () => {
+    if (!historyClear.classList.contains('confirm')) {
+      historyClear.classList.add('confirm');
+      historyClear.textContent = 'Click again to clear all';
+      setTimeout(() => {
+        historyClear.classList.remove('confirm');
+        historyClear.textContent = 'Clear history';
+      }, 3000);
+      return;
+    }
+
+    sendMessageWithTimeout({ action: 'deleteHistory' }, 10000).catch(err => {
+      console.warn('Failed to clear history:', err);
+    });
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.history) {
+      setEntries(changes.history.newValue);
+    }
+  });
+
+  chrome.storage.local.get('history')
+    .then(({ history }) => setEntries(history))
+    .catch(err => {
+      console.warn('Failed to load history:', err);
+    });
+}
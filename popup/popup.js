@@ -1,52 +1,88 @@
+import { detectIndicator } from '../lib/indicators.js';
+import { SOURCES, getSource, getSourcesFor } from '../lib/sources.js';
+import { analyzeResults } from '../lib/analysis.js';
+import { DEFAULT_SETTINGS, getSettings } from '../lib/settings.js';
+import { ErrorTypes, getErrorGuidance } from '../lib/errors.js';
+import { RETRY_TIMEOUT, applyColors, escapeHtml, formatAge, sendMessageWithTimeout, streamLookup } from './utils.js';
+import { initBulk } from './bulk.js';
+import { initHistory } from './history.js';
+import { initExportBar } from './export.js';
+import { initScan } from './scan.js';
+
 // DOM Elements
 const searchForm = document.getElementById('search-form');
 const ipInput = document.getElementById('ip-input');
 const searchBtn = document.getElementById('search-btn');
 const btnText = searchBtn.querySelector('.btn-text');
 const btnLoading = searchBtn.querySelector('.btn-loading');
+const cancelBtn = document.getElementById('cancel-btn');
 const errorMessage = document.getElementById('error-message');
 const resultsWrapper = document.getElementById('results-wrapper');
 const resultsContainer = document.getElementById('results');
+const cardTemplate = document.getElementById('card-template');
+const riskBanner = document.getElementById('risk-banner');
+const discrepancySection = document.getElementById('discrepancies');
+const singleExport = document.getElementById('single-export');
+
+const modeTabs = document.querySelectorAll('.mode-tab');
+const views = document.querySelectorAll('.view');
+
+// Switch between the single lookup and bulk views
+function showView(mode) {
+  modeTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.mode === mode));
+  views.forEach(view => view.classList.toggle('hidden', view.id !== `${mode}-view`));
+}
 
-// Card elements
-const cards = {
-  virustotal: {
-    status: document.getElementById('vt-status'),
-    body: document.getElementById('vt-body'),
-    link: document.getElementById('vt-link')
-  },
-  ipinfo: {
-    status: document.getElementById('ipinfo-status'),
-    body: document.getElementById('ipinfo-body'),
-    link: document.getElementById('ipinfo-link')
-  },
-  abuseipdb: {
-    status: document.getElementById('abuseipdb-status'),
-    body: document.getElementById('abuseipdb-body'),
-    link: document.getElementById('abuseipdb-link')
-  }
-};
+modeTabs.forEach(tab => {
+  tab.addEventListener('click', () => showView(tab.dataset.mode));
+});
 
-// External link URLs
-const sourceUrls = {
-  virustotal: (ip) => `https://www.virustotal.com/gui/ip-address/${ip}`,
-  ipinfo: (ip) => `https://ipinfo.io/${ip}`,
-  abuseipdb: (ip) => `https://www.abuseipdb.com/check/${ip}`
-};
+document.getElementById('options-btn').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
 
-// Update external links for an IP
-function updateExternalLinks(ip) {
-  Object.entries(cards).forEach(([source, card]) => {
-    if (card.link && sourceUrls[source]) {
-      card.link.href = sourceUrls[source](ip);
-    }
+// The lookup record the cards are showing: { id, indicator, type, timestamp, results }
+// While a lookup streams it holds the results so far, so failed sources can be retried
+let currentLookup = null;
+// The streaming lookup in progress, see streamLookup
+let activeLookup = null;
+// ID of a background lookup job the cards are following after the popup was reopened
+let attachedJobId = null;
+// Settings for the enabled sources, score thresholds and lookup timeout; reloaded for each lookup
+let settings = DEFAULT_SETTINGS;
+
+// Card elements, one card per source in the registry
+const cards = {};
+SOURCES.forEach(source => {
+  const root = cardTemplate.content.firstElementChild.cloneNode(true);
+  root.id = `${source.id}-card`;
+  root.querySelector('h2').textContent = source.name;
+
+  const link = root.querySelector('.external-link');
+  link.title = `Open in ${source.name}`;
+
+  resultsContainer.appendChild(root);
+  cards[source.id] = {
+    root,
+    status: root.querySelector('.status-badge'),
+    body: root.querySelector('.card-body'),
+    link
+  };
+});
+
+// Show only the cards for sources that support the indicator type and are switched on
+function showCardsFor(type) {
+  const shown = getSourcesFor(type, settings);
+  SOURCES.forEach(source => {
+    cards[source.id].root.classList.toggle('hidden', !shown.includes(source));
   });
 }
 
-// Validate IP address
-function isValidIP(ip) {
-  const ipRegex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-  return ipRegex.test(ip);
+// Update external links for an indicator
+function updateExternalLinks(indicator, type) {
+  getSourcesFor(type).forEach(source => {
+    cards[source.id].link.href = source.types[type].url(indicator);
+  });
 }
 
 // Set loading state
@@ -55,6 +91,8 @@ function setLoading(loading) {
   btnText.classList.toggle('hidden', loading);
   btnLoading.classList.toggle('hidden', !loading);
   ipInput.disabled = loading;
+  cancelBtn.classList.toggle('hidden', !loading);
+  cancelBtn.disabled = false;
 }
 
 // Show error
@@ -68,161 +106,214 @@ function hideError() {
   errorMessage.classList.add('hidden');
 }
 
-// Helper to prevent XSS
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+// Show the overall verdict above the cards, or hide it when there is none
+function renderRisk(risk) {
+  if (!risk) {
+    riskBanner.classList.add('hidden');
+    return;
+  }
+
+  const sourceNames = Object.fromEntries(SOURCES.map(source => [source.id, source.name]));
+  const reasons = risk.reasons.length
+    ? risk.reasons.map(reason => `
+        <li>
+          <span>${escapeHtml(reason.text)}</span>
+          <span class="risk-points" title="${escapeHtml(sourceNames[reason.source] || reason.source)}">+${reason.points}</span>
+        </li>
+      `).join('')
+    : `<li><span>${risk.verdict === 'unknown' ? 'No source returned a scoreable signal' : 'No risk signals found'}</span></li>`;
+
+  riskBanner.className = `risk-banner ${risk.verdict}`;
+  riskBanner.innerHTML = `
+    <div class="risk-header">
+      <span class="risk-verdict">${escapeHtml(risk.verdict)}</span>
+      <span class="risk-score">${risk.score}/100</span>
+    </div>
+    <ul class="risk-reasons">${reasons}</ul>
+  `;
 }
 
-// Send message with timeout to prevent indefinite loading
-function sendMessageWithTimeout(message, timeoutMs = 60000) {
-  return Promise.race([
-    chrome.runtime.sendMessage(message),
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('Request timed out')), timeoutMs)
-    )
-  ]);
+// List the fields the sources disagree on, or hide the section when they agree
+function renderDiscrepancies(discrepancies) {
+  if (!discrepancies?.length) {
+    discrepancySection.classList.add('hidden');
+    return;
+  }
+
+  const sourceNames = Object.fromEntries(SOURCES.map(source => [source.id, source.name]));
+  discrepancySection.innerHTML = `
+    <h3>Discrepancies</h3>
+    ${discrepancies.map(item => `
+      <div class="discrepancy">
+        <span class="data-label">${escapeHtml(item.label)}</span>
+        <ul>
+          ${item.values.map(({ source, value }) => `
+            <li><span class="discrepancy-source">${escapeHtml(sourceNames[source] || source)}</span> ${escapeHtml(value)}</li>
+          `).join('')}
+        </ul>
+        <p class="discrepancy-hint">${escapeHtml(item.hint)}</p>
+      </div>
+    `).join('')}
+  `;
+  discrepancySection.classList.remove('hidden');
 }
 
-// Reset cards to loading state
+// Reset cards to loading state, each with a button to cancel its source
 function resetCards() {
-  Object.values(cards).forEach(card => {
+  renderRisk(null);
+  renderDiscrepancies(null);
+  singleExport.classList.add('hidden');
+  Object.entries(cards).forEach(([source, card]) => {
     card.status.textContent = 'Loading';
     card.status.className = 'status-badge loading';
     card.body.innerHTML = `
       <div class="loading-placeholder">
         <span class="spinner"></span>
-        <span>Fetching data...</span>
+        <span class="stage-label">Fetching data...</span>
+        <button class="cancel-btn" data-source="${source}">Cancel</button>
       </div>
     `;
   });
 }
 
+// Loading placeholder text for each scraper stage
+const STAGE_LABELS = {
+  navigating: 'Opening page...',
+  rendering: 'Waiting for render...',
+  extracting: 'Extracting data...',
+  retrying: 'Retrying after a failed attempt...',
+  challenge: 'Waiting for you to solve a CAPTCHA...'
+};
+
+// Show a scraper stage in a card that is still loading
+function setCardStage(source, stage) {
+  const label = cards[source]?.body.querySelector('.stage-label');
+  if (label) label.textContent = STAGE_LABELS[stage] || 'Fetching data...';
+}
+
 // Update card with data
-function updateCard(source, data) {
+function updateCard(source, data, type = 'ip') {
   const card = cards[source];
   if (!card) return;
 
+  if (data.cancelled) {
+    card.status.textContent = 'Cancelled';
+    card.status.className = 'status-badge cancelled';
+    card.body.innerHTML = `
+      <div class="error-content">
+        <span class="cancelled-message">Lookup cancelled</span>
+        <button class="retry-btn" data-source="${source}">Retry</button>
+      </div>
+    `;
+    return;
+  }
+
   if (data.error) {
+    const name = getSource(source)?.name || source;
+    const attempts = data.attempts ? ` (after ${data.attempts} attempts)` : '';
+    const guidance = data.errorType ? getErrorGuidance(data.errorType, name) : '';
+    const siteUrl = data.errorType === ErrorTypes.BLOCKED && currentLookup
+      ? getSource(source)?.types[currentLookup.type]?.url(currentLookup.indicator)
+      : null;
+
     card.status.textContent = 'Error';
     card.status.className = 'status-badge error';
     card.body.innerHTML = `
       <div class="error-content">
         <div class="error-message">
           <span class="error-icon">&#9888;</span>
-          <span>${escapeHtml(data.error)}</span>
+          <span>${escapeHtml(data.error + attempts)}</span>
+        </div>
+        ${guidance ? `<p class="error-guidance">${escapeHtml(guidance)}</p>` : ''}
+        <div class="error-actions">
+          ${siteUrl ? '<button class="open-site-btn">Open site</button>' : ''}
+          <button class="retry-btn" data-source="${source}">Retry</button>
         </div>
-        <button class="retry-btn" data-source="${source}">Retry</button>
       </div>
     `;
+    // Attributes are set directly - escapeHtml doesn't cover quotes
+    if (data.errorDetail) card.body.querySelector('.error-message').title = data.errorDetail;
+    if (siteUrl) card.body.querySelector('.open-site-btn').dataset.url = siteUrl;
     return;
   }
 
-  card.status.textContent = 'Success';
-  card.status.className = 'status-badge success';
+  card.status.textContent = data.fromCache ? 'Cached' : 'Success';
+  card.status.className = `status-badge ${data.fromCache ? 'cached' : 'success'}`;
 
-  let html = '';
+  const fields = getSource(source)?.types[type]?.fields || [];
+  card.body.innerHTML = renderFields(fields, data);
 
-  if (source === 'virustotal') {
-    html = renderVirusTotalData(data);
-  } else if (source === 'ipinfo') {
-    html = renderIPInfoData(data);
-  } else if (source === 'abuseipdb') {
-    html = renderAbuseIPDBData(data);
+  if (data.fromCache) {
+    card.body.insertAdjacentHTML('beforeend', `
+      <div class="cache-note">
+        <span>Cached, ${formatAge(Date.now() - data.cachedAt)}</span>
+        <button class="refresh-btn" data-source="${source}">Force refresh</button>
+      </div>
+    `);
   }
 
-  card.body.innerHTML = html;
-}
-
-// Render VirusTotal data
-function renderVirusTotalData(data) {
-  const detectionRatio = data.detections ? `${data.detections.malicious}/${data.detections.total}` : 'N/A';
-  const reputationClass = getScoreClass(data.reputation, 'reputation');
-
-  return `
-    <div class="data-row">
-      <span class="data-label">Detections</span>
-      <span class="data-value ${data.detections?.malicious > 0 ? 'danger' : 'safe'}">${detectionRatio}</span>
-    </div>
-    <div class="data-row">
-      <span class="data-label">Reputation</span>
-      <span class="data-value ${reputationClass}">${data.reputation ?? 'N/A'}</span>
-    </div>
-    <div class="data-row">
-      <span class="data-label">Last Analysis</span>
-      <span class="data-value">${data.lastAnalysis || 'N/A'}</span>
-    </div>
-    <div class="data-row">
-      <span class="data-label">AS Owner</span>
-      <span class="data-value">${data.asOwner || 'N/A'}</span>
-    </div>
-  `;
-}
+  // Say where the data came from when API mode is involved
+  const origin = data.via === 'api'
+    ? 'From the official API'
+    : data.apiFallback ? `Scraped - ${data.apiFallback}` : null;
+  if (origin) {
+    card.body.insertAdjacentHTML('beforeend', `
+      <div class="api-note">${escapeHtml(origin)}</div>
+    `);
+  }
 
-// Render IPInfo data
-function renderIPInfoData(data) {
-  return `
-    <div class="data-row">
-      <span class="data-label">Location</span>
-      <span class="data-value">${[data.city, data.region, data.country].filter(Boolean).join(', ') || 'N/A'}</span>
-    </div>
-    <div class="data-row">
-      <span class="data-label">Organization</span>
-      <span class="data-value">${data.org || 'N/A'}</span>
-    </div>
-    <div class="data-row">
-      <span class="data-label">ASN</span>
-      <span class="data-value">${data.asn || 'N/A'}</span>
-    </div>
-    <div class="data-row">
-      <span class="data-label">Hostname</span>
-      <span class="data-value">${data.hostname || 'N/A'}</span>
-    </div>
-  `;
+  if (data.evidence) {
+    card.body.insertAdjacentHTML('beforeend', `
+      <div class="evidence-note">
+        <span>Page captured ${escapeHtml(new Date(data.evidence.capturedAt).toLocaleString())}</span>
+        <button class="evidence-btn" data-evidence="${escapeHtml(data.evidence.id)}">View evidence</button>
+      </div>
+    `);
+  }
 }
 
-// Render AbuseIPDB data
-function renderAbuseIPDBData(data) {
-  const confidenceClass = getScoreClass(data.confidenceScore, 'abuse');
+// Render a source's field schema as data rows
+function renderFields(fields, data) {
+  return fields.map(field => {
+    const value = field.value(data);
+    const tone = field.tone ? field.tone(data, settings) : '';
+
+    let html;
+    if (Array.isArray(value)) {
+      html = value.map(line => escapeHtml(String(line))).join('<br>');
+    } else if (value !== null && value !== undefined && value !== '') {
+      html = escapeHtml(String(value));
+    }
 
-  return `
-    <div class="data-row">
-      <span class="data-label">Confidence Score</span>
-      <span class="data-value ${confidenceClass}">${data.confidenceScore !== undefined ? data.confidenceScore + '%' : 'N/A'}</span>
-    </div>
-    <div class="data-row">
-      <span class="data-label">Total Reports</span>
-      <span class="data-value ${data.totalReports > 0 ? 'warning' : ''}">${data.totalReports ?? 'N/A'}</span>
-    </div>
-    <div class="data-row">
-      <span class="data-label">ISP</span>
-      <span class="data-value">${data.isp || 'N/A'}</span>
-    </div>
-    <div class="data-row">
-      <span class="data-label">Usage Type</span>
-      <span class="data-value">${data.usageType || 'N/A'}</span>
-    </div>
-  `;
+    return `
+      <div class="data-row">
+        <span class="data-label">${escapeHtml(field.label)}</span>
+        <span class="data-value ${tone}">${html || 'N/A'}</span>
+      </div>
+    `;
+  }).join('');
 }
 
-// Get class based on score
-function getScoreClass(score, type) {
-  if (score === undefined || score === null) return '';
-
-  if (type === 'abuse') {
-    if (score >= 50) return 'danger';
-    if (score >= 20) return 'warning';
-    return 'safe';
-  }
-
-  if (type === 'reputation') {
-    if (score < -10) return 'danger';
-    if (score < 0) return 'warning';
-    return 'safe';
-  }
+// Show a lookup record in the cards without scraping again
+function showLookup(record) {
+  currentLookup = record;
+  detachFromJob();
+  ipInput.value = record.indicator;
+  hideError();
 
-  return '';
+  showCardsFor(record.type);
+  updateExternalLinks(record.indicator, record.type);
+  resultsWrapper.classList.add('expanded');
+  renderRisk(record.risk);
+  renderDiscrepancies(record.discrepancies);
+  singleExport.classList.remove('hidden');
+
+  // Cards follow the record, whichever sources are switched on now
+  getSourcesFor(record.type).forEach(source => {
+    const data = record.results[source.id];
+    cards[source.id].root.classList.toggle('hidden', !data);
+    if (data) updateCard(source.id, data, record.type);
+  });
 }
 
 // Handle form submission
@@ -230,66 +321,229 @@ searchForm.addEventListener('submit', async (e) => {
   e.preventDefault();
   hideError();
 
-  const ip = ipInput.value.trim();
+  // Canonicalize so e.g. compressed and expanded IPv6 forms map to the same lookup
+  const indicator = detectIndicator(ipInput.value);
 
-  if (!isValidIP(ip)) {
-    showError('Please enter a valid IPv4 address');
+  if (!indicator) {
+    showError('Please enter a valid IP address, domain or file hash');
     return;
   }
 
+  const { type, value } = indicator;
+  ipInput.value = value;
+
+  // Retry buttons act on currentLookup: the results so far until the record arrives
+  const streaming = { id: null, indicator: value, type, timestamp: Date.now(), results: {} };
+  currentLookup = streaming;
+  detachFromJob();
   setLoading(true);
+  settings = await getSettings();
   resultsWrapper.classList.add('expanded');
+  showCardsFor(type);
   resetCards();
-  updateExternalLinks(ip);
+  updateExternalLinks(value, type);
 
   try {
-    // Send message to background script
-    const response = await sendMessageWithTimeout({
-      action: 'lookup',
-      ip: ip
-    }, 60000);
+    // Cards fill in as each source finishes, the record arrives at the end
+    activeLookup = streamLookup({ indicator: value }, {
+      onStart: id => {
+        streaming.id = id;
+      },
+      onStage: setCardStage,
+      onResult: (source, result) => {
+        streaming.results[source] = result;
+        updateCard(source, result, type);
+      }
+    }, settings.lookupTimeout);
+    const response = await activeLookup;
 
     if (response.error) {
       showError(response.error);
     } else {
-      // Update each card with its data
-      if (response.virustotal) updateCard('virustotal', response.virustotal);
-      if (response.ipinfo) updateCard('ipinfo', response.ipinfo);
-      if (response.abuseipdb) updateCard('abuseipdb', response.abuseipdb);
+      showLookup(response);
     }
   } catch (err) {
     showError('Failed to fetch data. Please try again.');
     console.error('Lookup error:', err);
   } finally {
+    activeLookup = null;
     setLoading(false);
   }
 });
 
-// Load last search from storage
-chrome.storage.local.get(['lastSearch', 'lastResults'])
-  .then(data => {
-    if (data.lastSearch) {
-      ipInput.value = data.lastSearch;
-      updateExternalLinks(data.lastSearch);
+// Stop the running lookup, or one source of it: through the stream, or by the
+// lookup's ID when the cards follow one started before the popup was reopened
+function cancelLookup(source) {
+  if (activeLookup) {
+    activeLookup.cancel(source);
+    return;
+  }
+
+  sendMessageWithTimeout({ action: 'cancelLookup', id: attachedJobId, source }, 10000)
+    .then(response => {
+      if (response?.error) showError(response.error);
+    })
+    .catch(err => {
+      console.warn('Failed to cancel lookup:', err);
+    });
+}
+
+// Stop every source of the running lookup; cards turn to "Cancelled" as their tabs close
+cancelBtn.addEventListener('click', () => {
+  if (!activeLookup && !attachedJobId) return;
+  cancelBtn.disabled = true;
+  cancelLookup();
+});
+
+// A result page (opened from a lookup notification) names the lookup to show
+const requestedLookup = new URLSearchParams(location.search).get('lookup');
+if (requestedLookup) {
+  document.body.classList.add('result-page');
+}
+
+// Follow a lookup the background is still running (the popup was closed mid-lookup):
+// cards fill in from the job as it is saved, and the record replaces it when done
+function attachToJob(job) {
+  attachedJobId = job.id;
+  // Retry buttons act on the job's results so far, and the background merges
+  // what they return into the running lookup by its ID
+  currentLookup = { id: job.id, indicator: job.indicator, type: job.type, timestamp: job.timestamp, results: { ...job.results } };
+  ipInput.value = job.indicator;
+  hideError();
+
+  // Cancelling goes to the background by the job's ID, see cancelLookup()
+  cancelBtn.classList.remove('hidden');
+  cancelBtn.disabled = false;
+
+  resultsWrapper.classList.add('expanded');
+  showCardsFor(job.type);
+  resetCards();
+  updateExternalLinks(job.indicator, job.type);
+  Object.entries(job.results).forEach(([source, result]) => updateCard(source, result, job.type));
+}
+
+// Stop following a background lookup job, and drop the cancel button that acted on it
+function detachFromJob() {
+  if (!attachedJobId) return;
+  attachedJobId = null;
+  cancelBtn.classList.add('hidden');
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !attachedJobId) return;
+
+  if (changes.lastLookup?.newValue?.id === attachedJobId) {
+    showLookup(changes.lastLookup.newValue);
+    return;
+  }
+
+  if (changes.lookupJobs) {
+    const job = changes.lookupJobs.newValue?.[attachedJobId];
+    const previous = changes.lookupJobs.oldValue?.[attachedJobId]?.results || {};
+    if (!job) {
+      // Cancelled, or finished without a record to show
+      detachFromJob();
+      return;
     }
-    if (data.lastResults) {
-      resultsWrapper.classList.add('expanded');
-      if (data.lastResults.virustotal) updateCard('virustotal', data.lastResults.virustotal);
-      if (data.lastResults.ipinfo) updateCard('ipinfo', data.lastResults.ipinfo);
-      if (data.lastResults.abuseipdb) updateCard('abuseipdb', data.lastResults.abuseipdb);
+    Object.entries(job.results)
+      .filter(([source]) => !previous[source])
+      .forEach(([source, result]) => {
+        if (currentLookup?.id === attachedJobId) currentLookup.results[source] = result;
+        updateCard(source, result, job.type);
+      });
+  }
+});
+
+// Load the settings, then the requested or last lookup from storage, or reattach
+// to one still running
+Promise.all([getSettings(), chrome.storage.local.get(['lastLookup', 'history', 'lookupJobs', 'bulkJob'])])
+  .then(([loaded, { lastLookup, history, lookupJobs, bulkJob }]) => {
+    settings = loaded;
+    applyColors(settings.colors);
+
+    const jobs = Object.values(lookupJobs || {});
+
+    // A worker stopped mid-job resumes when it starts; any message starts it
+    if (jobs.length || bulkJob?.status === 'running') {
+      sendMessageWithTimeout({ action: 'resume' }, 10000).catch(err => {
+        console.warn('Failed to resume unfinished lookups:', err);
+      });
+    }
+
+    if (!requestedLookup) {
+      const running = jobs.sort((a, b) => b.timestamp - a.timestamp)[0];
+      if (running && running.timestamp > (lastLookup?.timestamp || 0)) {
+        attachToJob(running);
+      } else if (lastLookup) {
+        showLookup(lastLookup);
+      }
+      return;
+    }
+
+    // The last lookup has the full results, history entries are compacted
+    const record = lastLookup?.id === requestedLookup
+      ? lastLookup
+      : (history || []).find(entry => entry.id === requestedLookup);
+
+    if (record) {
+      showLookup(record);
+    } else {
+      showError('This lookup is no longer in the history');
     }
   })
   .catch(err => {
     console.warn('Failed to load previous search:', err);
   });
 
-// Handle retry button clicks
+initBulk();
+initScan();
+initExportBar(singleExport, () => currentLookup ? [currentLookup] : []);
+
+// Reopening a history entry restores its cards
+initHistory({
+  onOpen: entry => {
+    showView('single');
+    showLookup(entry);
+  }
+});
+
+// Handle retry, force refresh, cancel, open site and evidence button clicks
 document.addEventListener('click', async (e) => {
-  if (e.target.classList.contains('retry-btn')) {
+  if (e.target.classList.contains('open-site-btn')) {
+    chrome.tabs.create({ url: e.target.dataset.url });
+    return;
+  }
+
+  if (e.target.classList.contains('evidence-btn')) {
+    chrome.tabs.create({
+      url: chrome.runtime.getURL(`evidence/evidence.html?id=${encodeURIComponent(e.target.dataset.evidence)}`)
+    });
+    return;
+  }
+
+  if (e.target.classList.contains('cancel-btn')) {
+    const { source, indicator } = e.target.dataset;
+    // Retry placeholders name the indicator, lookup placeholders cancel the lookup's source
+    if (!indicator && !activeLookup && !attachedJobId) return;
+    e.target.disabled = true;
+    e.target.textContent = 'Cancelling...';
+    if (indicator) {
+      // The retry answers with a cancelled result, which updates the card
+      sendMessageWithTimeout({ action: 'cancelRetry', indicator, source }, 10000).catch(err => {
+        console.warn('Failed to cancel retry:', err);
+      });
+    } else {
+      cancelLookup(source);
+    }
+    return;
+  }
+
+  if (e.target.classList.contains('retry-btn') || e.target.classList.contains('refresh-btn')) {
     const source = e.target.dataset.source;
-    const ip = ipInput.value.trim();
+    const force = e.target.classList.contains('refresh-btn');
+    const lookup = currentLookup;
 
-    if (!ip || !isValidIP(ip)) return;
+    if (!lookup) return;
 
     // Set card to loading
     const card = cards[source];
@@ -298,21 +552,33 @@ document.addEventListener('click', async (e) => {
     card.body.innerHTML = `
       <div class="loading-placeholder">
         <span class="spinner"></span>
-        <span>Retrying...</span>
+        <span>${force ? 'Refreshing...' : 'Retrying...'}</span>
+        <button class="cancel-btn" data-source="${source}">Cancel</button>
       </div>
     `;
+    card.body.querySelector('.cancel-btn').dataset.indicator = lookup.indicator;
 
     try {
       const response = await sendMessageWithTimeout({
         action: 'retry',
-        ip: ip,
-        source: source
-      }, 60000);
-
-      if (response.error) {
-        updateCard(source, { error: response.error });
-      } else {
-        updateCard(source, response);
+        indicator: lookup.indicator,
+        source: source,
+        lookupId: lookup.id,
+        force
+      }, RETRY_TIMEOUT);
+
+      // A lookup that was streaming may have finished meanwhile, its record
+      // replacing the results so far
+      const record = lookup.id && currentLookup?.id === lookup.id ? currentLookup : lookup;
+      record.results[source] = response;
+      updateCard(source, response, record.type);
+
+      // The background reanalyzes the stored record the same way; the verdict
+      // waits for a streaming lookup to finish
+      Object.assign(record, analyzeResults(record.results, await getSettings()));
+      if (record === currentLookup && !activeLookup && !attachedJobId) {
+        renderRisk(record.risk);
+        renderDiscrepancies(record.discrepancies);
       }
     } catch (err) {
       updateCard(source, { error: 'Retry failed: ' + err.message });
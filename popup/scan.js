@@ -0,0 +1,113 @@
+/**
+ * Page Scan
+ * Pulls every indicator out of the active tab's text and lets the user pick
+ * which ones to send to a bulk lookup
+ */
+
+import { extractIndicators } from '../lib/extract.js';
+import { escapeHtml } from './utils.js';
+
+// DOM Elements
+const scanBtn = document.getElementById('scan-page');
+const scanPanel = document.getElementById('scan-panel');
+const scanAll = document.getElementById('scan-all');
+const scanSummary = document.getElementById('scan-summary');
+const scanList = document.getElementById('scan-list');
+const scanClose = document.getElementById('scan-close');
+const scanLookup = document.getElementById('scan-lookup');
+const bulkForm = document.getElementById('bulk-form');
+const bulkInput = document.getElementById('bulk-input');
+const bulkError = document.getElementById('bulk-error');
+
+// Show error in the bulk form
+function showScanError(message) {
+  bulkError.textContent = message;
+  bulkError.classList.remove('hidden');
+}
+
+// Read the visible text of every frame in the active tab
+async function readActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) throw new Error('No active tab');
+
+  const frames = await chrome.scripting.executeScript({
+    target: { tabId: tab.id, allFrames: true },
+    func: () => document.body ? document.body.innerText : ''
+  });
+  return frames.map(frame => frame.result || '').join('\n');
+}
+
+// Render the checklist of found indicators
+function renderChecklist(indicators, dropped) {
+  const skipped = dropped ? `, ${dropped} private or reserved skipped` : '';
+  scanSummary.textContent = `${indicators.length} indicator${indicators.length === 1 ? '' : 's'} found${skipped}`;
+
+  scanList.innerHTML = indicators.map(indicator => `
+    <li>
+      <label>
+        <input type="checkbox" value="${escapeHtml(indicator.value)}" checked>
+        <span class="scan-type">${escapeHtml(indicator.type)}</span>
+        <span class="scan-value">${escapeHtml(indicator.value)}</span>
+      </label>
+    </li>
+  `).join('');
+
+  scanAll.checked = true;
+  scanAll.disabled = !indicators.length;
+  scanLookup.disabled = !indicators.length;
+  scanPanel.classList.remove('hidden');
+}
+
+// Keep the select-all box and the button in step with the individual boxes
+function updateSelection() {
+  const boxes = [...scanList.querySelectorAll('input[type="checkbox"]')];
+  const checked = boxes.filter(box => box.checked).length;
+
+  scanAll.checked = checked === boxes.length && checked > 0;
+  scanAll.indeterminate = checked > 0 && checked < boxes.length;
+  scanLookup.disabled = checked === 0;
+}
+
+/**
+ * Wire up the page scan action
+ */
+export function initScan() {
+  scanBtn.addEventListener('click', async () => {
+    bulkError.classList.add('hidden');
+    scanBtn.disabled = true;
+
+    try {
+      const { indicators, dropped } = extractIndicators(await readActiveTab());
+      renderChecklist(indicators, dropped);
+    } catch (err) {
+      // Browser pages (chrome://, the Web Store) can't be scripted
+      console.warn('Page scan failed:', err);
+      showScanError('This page cannot be scanned');
+    } finally {
+      scanBtn.disabled = false;
+    }
+  });
+
+  scanAll.addEventListener('change', () => {
+    scanList.querySelectorAll('input[type="checkbox"]').forEach(box => {
+      box.checked = scanAll.checked;
+    });
+    updateSelection();
+  });
+
+  scanList.addEventListener('change', updateSelection);
+
+  scanClose.addEventListener('click', () => {
+    scanPanel.classList.add('hidden');
+  });
+
+  // Hand the selection to the bulk form, which validates and starts the job
+  scanLookup.addEventListener('click', () => {
+    const selected = [...scanList.querySelectorAll('input[type="checkbox"]:checked')].map(box => box.value);
+    if (!selected.length) return;
+
+    bulkInput.value = selected.join('\n');
+    scanPanel.classList.add('hidden');
+    bulkForm.requestSubmit();
+  });
+}
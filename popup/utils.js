@@ -0,0 +1,96 @@
+/**
+ * Popup Utilities
+ * Helpers shared by the popup views
+ */
+
+// Helper to prevent XSS
+export function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Send message with timeout to prevent indefinite loading
+export function sendMessageWithTimeout(message, timeoutMs = 60000) {
+  return Promise.race([
+    chrome.runtime.sendMessage(message),
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('Request timed out')), timeoutMs)
+    )
+  ]);
+}
+
+// Apply the danger, warning and safe colors from the options over the theme's,
+// deriving the tinted backgrounds from them (26 hex = the theme's 15% alpha)
+export function applyColors(colors) {
+  const variables = { danger: '--color-danger', warning: '--color-warning', safe: '--color-success' };
+  for (const [tone, variable] of Object.entries(variables)) {
+    const color = colors?.[tone];
+    if (!/^#[0-9a-f]{6}$/i.test(color || '')) continue;
+    document.documentElement.style.setProperty(variable, color);
+    document.documentElement.style.setProperty(`${variable}-bg`, `${color}26`);
+  }
+}
+
+// Format an age in milliseconds as "just now", "5 min ago", "3 h ago" or "2 d ago"
+export function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+
+  return `${Math.floor(hours / 24)} d ago`;
+}
+
+// How long a single-source retry may take: the background retries timeouts and
+// network errors itself, with backoff, before answering
+export const RETRY_TIMEOUT = 120000;
+
+// Run a lookup over a port so its ID, then each source's progress and result arrive as they happen
+// The timeout counts from the last message, so sources retrying in the background keep it alive
+// The returned promise has cancel(source), which stops one source, or the whole lookup without one
+export function streamLookup(request, { onStart, onStage, onResult }, timeoutMs = 60000) {
+  const port = chrome.runtime.connect({ name: 'lookup' });
+  let open = true;
+
+  const lookup = new Promise((resolve, reject) => {
+    const finish = (settle, value) => {
+      clearTimeout(timer);
+      open = false;
+      port.disconnect();
+      settle(value);
+    };
+
+    let timer;
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => finish(reject, new Error('Request timed out')), timeoutMs);
+    };
+    restartTimer();
+
+    port.onMessage.addListener((message) => {
+      restartTimer();
+      if (message.type === 'started') onStart(message.id);
+      else if (message.type === 'stage') onStage(message.source, message.stage);
+      else if (message.type === 'result') onResult(message.source, message.result);
+      else if (message.type === 'done') finish(resolve, message.record);
+      else if (message.type === 'error') finish(resolve, { error: message.error });
+    });
+
+    // Only fires when the background side goes away (e.g. the worker was stopped)
+    port.onDisconnect.addListener(() => {
+      clearTimeout(timer);
+      open = false;
+      reject(new Error('Lookup was interrupted'));
+    });
+
+    port.postMessage({ action: 'lookup', ...request });
+  });
+
+  lookup.cancel = (source) => {
+    if (open) port.postMessage({ action: 'cancel', source });
+  };
+  return lookup;
+}
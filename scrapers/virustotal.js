@@ -1,278 +1,397 @@
 /**
  * VirusTotal Scraper
- * Extracts threat intelligence data from VirusTotal IP address page
+ * Extracts threat intelligence data from VirusTotal IP address, domain and file pages
+ *
+ * The GUI loads each report from a JSON endpoint (/ui/ip_addresses/{ip},
+ * /ui/domains/{domain}, /ui/files/{hash}); those responses are captured over
+ * CDP and read first. Parsing the rendered text (see parsers/virustotal.js)
+ * fills in whatever the JSON didn't provide, or everything when the response
+ * wasn't seen. The same attributes come back from the official v3 API, so
+ * api/virustotal.js maps its responses with the *FromJson functions here.
  */
 
 import { createPage } from '../lib/cdp.js';
+import { toErrorResult } from '../lib/errors.js';
+import { attachEvidence } from '../lib/evidence.js';
+import { CHALLENGE_PRESENT, resolveChallenge } from '../lib/challenge.js';
+import {
+  SELECTED_VENDORS,
+  PARSE_HELPERS,
+  snapshotVirusTotal,
+  parseVirusTotalIP,
+  parseVirusTotalDomain,
+  parseVirusTotalFile,
+  parseVirusTotalFileDetails
+} from '../parsers/virustotal.js';
+
+// Default time budgets in ms: page load, the wait for the SPA to render the
+// report, and the wait for its JSON response once rendered
+// Overridable per source in the options (see getSourceTimeouts in lib/sources.js)
+export const VIRUSTOTAL_TIMEOUTS = { navigation: 30000, render: 15000, response: 3000 };
+
+// Report endpoints the GUI calls, matched without their relationship sub-paths
+// (/ui/ip_addresses/8.8.8.8/comments and the like)
+const API_PATTERNS = {
+  ip: /\/ui\/ip_addresses\/[^/?]+(?:\?|$)/,
+  domain: /\/ui\/domains\/[^/?]+(?:\?|$)/,
+  file: /\/ui\/files\/[^/?]+(?:\?|$)/
+};
+
+// How the GUI words a vendor verdict with no detection name
+const VERDICT_LABELS = {
+  undetected: 'Undetected',
+  harmless: 'Undetected',
+  'type-unsupported': 'Unable to process file type',
+  timeout: 'Timeout',
+  failure: 'Failure'
+};
+
+/**
+ * Read the attributes of a captured report response
+ * @param {Page} page - The page that loaded the report
+ * @param {RegExp} pattern - The report endpoint, see API_PATTERNS
+ * @param {number} timeout - How long to wait for the response in ms
+ * @returns {Promise<object|null>} `data.attributes`, or null when the response
+ *   was not seen, failed (404 for unknown indicators) or could not be parsed
+ */
+async function readReportJson(page, pattern, timeout) {
+  let response;
+  try {
+    // Normally captured while the page rendered, so this returns straight away
+    response = await page.waitForResponse(pattern, { timeout });
+  } catch (err) {
+    if (page.signal?.aborted) throw err;
+    return null;
+  }
+
+  if (response.status !== 200) return null;
+
+  try {
+    return JSON.parse(response.body).data?.attributes || null;
+  } catch (err) {
+    console.warn('Failed to parse VirusTotal response:', err);
+    return null;
+  }
+}
+
+/**
+ * Format a Unix timestamp in seconds as YYYY-MM-DD
+ * @param {number} seconds
+ * @returns {string|null}
+ */
+function toDate(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString().substring(0, 10) : null;
+}
+
+/**
+ * Detection stats as the GUI shows them: malicious out of the engines that gave a verdict
+ * @param {object} attributes - Report attributes
+ * @returns {{malicious: number, total: number}|null}
+ */
+function detectionsFrom(attributes) {
+  const stats = attributes.last_analysis_stats;
+  if (!stats) return null;
+
+  const { malicious = 0, suspicious = 0, undetected = 0, harmless = 0 } = stats;
+  return { malicious, total: malicious + suspicious + undetected + harmless };
+}
+
+/**
+ * Map IP address report attributes onto the scraper's result fields
+ * @param {object} attributes - Report attributes
+ * @returns {object}
+ */
+export function ipFromJson(attributes) {
+  return {
+    detections: detectionsFrom(attributes),
+    reputation: attributes.reputation ?? null,
+    lastAnalysis: toDate(attributes.last_analysis_date),
+    asOwner: attributes.as_owner || null,
+    country: attributes.country || null,
+    network: attributes.network ? attributes.network.toLowerCase() : null
+  };
+}
+
+/**
+ * Map domain report attributes onto the scraper's result fields
+ * @param {object} attributes - Report attributes
+ * @returns {object}
+ */
+export function domainFromJson(attributes) {
+  return {
+    detections: detectionsFrom(attributes),
+    reputation: attributes.reputation ?? null,
+    registrar: attributes.registrar || null,
+    creationDate: toDate(attributes.creation_date),
+    categories: [...new Set(Object.values(attributes.categories || {}).map(category => category.toLowerCase()))],
+    dnsRecords: (attributes.last_dns_records || []).slice(0, 20).map(record => ({
+      type: record.type,
+      ttl: record.ttl,
+      value: record.value
+    }))
+  };
+}
+
+/**
+ * Map file report attributes onto the scraper's result fields
+ * @param {object} attributes - Report attributes
+ * @returns {object}
+ */
+export function fileFromJson(attributes) {
+  const vendorVerdicts = {};
+  for (const vendor of SELECTED_VENDORS) {
+    const verdict = attributes.last_analysis_results?.[vendor];
+    if (verdict) {
+      vendorVerdicts[vendor] = verdict.result || VERDICT_LABELS[verdict.category] || verdict.category;
+    }
+  }
+
+  return {
+    detections: detectionsFrom(attributes),
+    threatLabel: attributes.popular_threat_classification?.suggested_threat_label || null,
+    fileType: attributes.type_description || null,
+    names: (attributes.names || []).slice(0, 10),
+    firstSubmission: toDate(attributes.first_submission_date),
+    lastSubmission: toDate(attributes.last_submission_date),
+    vendorVerdicts
+  };
+}
+
+/**
+ * Overlay the values read from JSON on the ones parsed from text
+ * Empty JSON values (null, [], {}) leave the text value in place
+ * @param {object} result - Result parsed from the page text
+ * @param {object|null} fromJson - Result mapped from the report JSON
+ * @returns {object} The merged result
+ */
+function mergeReport(result, fromJson) {
+  if (!fromJson) return result;
+
+  for (const [key, value] of Object.entries(fromJson)) {
+    const empty = value === null || value === undefined ||
+      (typeof value === 'object' && !Object.keys(value).length);
+    if (!empty) result[key] = value;
+  }
+
+  // The JSON had the report, so thin or half-rendered page text no longer
+  // matters - only a challenge is still worth a warning
+  if (result.warning && !/captcha/i.test(result.warning)) {
+    result.warning = null;
+  }
+  return result;
+}
+
+// Rendered once VirusTotal has filled in its report (the "X / Y security vendors"
+// header) or shown "No matches found"
+const REPORT_READY = `/security vendors?|\\d+\\s*\\/\\s*\\d+|no matches found/i.test(deepText())`;
+
+// Details tabs render their sections after the header
+const DOMAIN_DETAILS_READY = `${REPORT_READY} && /whois lookup|last dns records|no matches found/i.test(deepText())`;
+const FILE_DETAILS_READY = `/first submission|no matches found/i.test(deepText())`;
+
+/**
+ * Navigate to a VirusTotal page and wait for the SPA to render
+ * @param {Page} page - The page to navigate
+ * @param {string} url - The VirusTotal GUI URL to open
+ * @param {object} options
+ * @param {function(string): void} options.onStage - Progress callback
+ * @param {string} [options.ready] - Expression that is true once the content to extract has rendered
+ * @param {boolean} [options.handoff] - Show a challenge page to the user to solve
+ * @param {object} options.timeouts - Time budgets in ms, see VIRUSTOTAL_TIMEOUTS
+ * @returns {Promise<void>}
+ */
+async function navigateVirusTotal(page, url, { onStage, ready = REPORT_READY, handoff, timeouts }) {
+  onStage('navigating');
+  await page.goto(url, { timeout: timeouts.navigation });
+
+  // VirusTotal is a heavy SPA built from web components - wait for the report
+  // (or a challenge) to render inside their shadow roots rather than for a
+  // fixed time. Running out of time is not fatal: extraction reports thin or blocked pages
+  onStage('rendering');
+  await page.waitForFunction(`(${ready}) || ${CHALLENGE_PRESENT}`, { timeout: timeouts.render, polling: 250 }).catch(err => {
+    if (page.signal?.aborted) throw err;
+  });
+
+  // A CAPTCHA left in place is reported by detectBlocked() during extraction
+  await resolveChallenge(page, { source: 'VirusTotal', ready, enabled: handoff, timeout: timeouts.render, onStage });
+
+  onStage('extracting');
+}
+
+/**
+ * Open a VirusTotal page and wait for the SPA to render
+ * @param {string} url - The VirusTotal GUI URL to open
+ * @param {object} options
+ * @param {function(string): void} options.onStage - Progress callback
+ * @param {RegExp} options.api - Report endpoint whose response to capture, see API_PATTERNS
+ * @param {AbortSignal} [options.signal] - Cancels navigation and closes the page
+ * @param {string} [options.ready] - Expression that is true once the content to extract has rendered
+ * @param {boolean} [options.handoff] - Show a challenge page to the user to solve
+ * @param {object} options.timeouts - Time budgets in ms, see VIRUSTOTAL_TIMEOUTS
+ * @returns {Promise<Page>} The page, ready for extraction
+ */
+async function openVirusTotalPage(url, { onStage, api, signal, ready, handoff, timeouts }) {
+  const page = await createPage({ signal });
+
+  try {
+    // Inject stealth scripts BEFORE navigation to mask automation detection
+    await page.injectStealthScripts();
+    page.captureResponses(api);
+    await navigateVirusTotal(page, url, { onStage, ready, handoff, timeouts });
+  } catch (err) {
+    await page.close();
+    throw err;
+  }
+
+  return page;
+}
 
 /**
  * Scrape VirusTotal for IP address information
  * @param {string} ip - The IP address to look up
+ * @param {object} [options]
+ * @param {function(string): void} [options.onStage] - Progress callback
+ * @param {AbortSignal} [options.signal] - Cancels the scrape and closes its tab
+ * @param {boolean} [options.evidence] - Capture the page as evidence before closing it
+ * @param {boolean} [options.handoff] - Show a challenge page to the user to solve
+ * @param {object} [options.timeouts] - Time budgets in ms, see VIRUSTOTAL_TIMEOUTS
  * @returns {Promise<object>} Scraped data
  */
-export async function scrapeVirusTotal(ip) {
+export async function scrapeVirusTotal(ip, options = {}) {
+  const { onStage = () => {}, signal, evidence, handoff, timeouts = VIRUSTOTAL_TIMEOUTS } = options;
   let page = null;
 
   try {
-    page = await createPage();
+    // Navigate to VirusTotal IP page (IPv6 addresses are used as-is in the path)
+    page = await openVirusTotalPage(`https://www.virustotal.com/gui/ip-address/${ip}`, {
+      onStage,
+      signal,
+      handoff,
+      timeouts,
+      api: API_PATTERNS.ip
+    });
+    const attributes = await readReportJson(page, API_PATTERNS.ip, timeouts.response);
 
-    // Inject stealth scripts BEFORE navigation to mask automation detection
-    await page.injectStealthScripts();
+    const data = await page.extract(snapshotVirusTotal, parseVirusTotalIP, { helpers: PARSE_HELPERS });
+
+    const report = mergeReport(data, attributes && ipFromJson(attributes));
+    return await attachEvidence(page, report, { enabled: evidence, source: 'virustotal', indicator: ip });
+
+  } catch (err) {
+    console.error('VirusTotal scraper error:', err);
+    return toErrorResult(err, 'VirusTotal');
+  } finally {
+    if (page) {
+      await page.close();
+    }
+  }
+}
+
+/**
+ * Scrape VirusTotal for domain information
+ * Uses the details tab, which carries the whois, categories and DNS sections
+ * @param {string} domain - The domain to look up
+ * @param {object} [options]
+ * @param {function(string): void} [options.onStage] - Progress callback
+ * @param {AbortSignal} [options.signal] - Cancels the scrape and closes its tab
+ * @param {boolean} [options.evidence] - Capture the page as evidence before closing it
+ * @param {boolean} [options.handoff] - Show a challenge page to the user to solve
+ * @param {object} [options.timeouts] - Time budgets in ms, see VIRUSTOTAL_TIMEOUTS
+ * @returns {Promise<object>} Scraped data
+ */
+export async function scrapeVirusTotalDomain(domain, options = {}) {
+  const { onStage = () => {}, signal, evidence, handoff, timeouts = VIRUSTOTAL_TIMEOUTS } = options;
+  let page = null;
 
-    // Navigate to VirusTotal IP page
-    const url = `https://www.virustotal.com/gui/ip-address/${ip}`;
-    await page.goto(url, { timeout: 30000 });
-
-    // VirusTotal is a heavy SPA - wait for content to actually render
-    // First, wait a base amount for initial JS to load
-    await page.sleep(3000);
-
-    // Helper function to traverse shadow DOM and get all text content
-    // VirusTotal uses Polymer web components with shadow DOM
-    const getAllTextContent = `
-      (function getAllTextContent(root = document.body) {
-        let text = '';
-        function traverse(node) {
-          if (node.shadowRoot) {
-            traverse(node.shadowRoot);
-          }
-          if (node.nodeType === Node.TEXT_NODE) {
-            text += node.textContent + ' ';
-          }
-          if (node.childNodes) {
-            for (const child of node.childNodes) {
-              traverse(child);
-            }
-          }
-        }
-        traverse(root);
-        return text;
-      })()
-    `;
-
-    // Then poll for content to appear (up to 15 seconds total)
-    // Must check shadow DOM since VirusTotal uses web components
-    let attempts = 0;
-    const maxAttempts = 12;
-    while (attempts < maxAttempts) {
-      const textLength = await page.evaluate(getAllTextContent + '.length');
-      if (textLength > 100) break;
-      await page.sleep(1000);
-      attempts++;
+  try {
+    page = await openVirusTotalPage(`https://www.virustotal.com/gui/domain/${domain}/details`, {
+      onStage,
+      signal,
+      handoff,
+      timeouts,
+      api: API_PATTERNS.domain,
+      ready: DOMAIN_DETAILS_READY
+    });
+    const attributes = await readReportJson(page, API_PATTERNS.domain, timeouts.response);
+
+    const data = await page.extract(snapshotVirusTotal, parseVirusTotalDomain, { helpers: PARSE_HELPERS });
+
+    const report = mergeReport(data, attributes && domainFromJson(attributes));
+    return await attachEvidence(page, report, { enabled: evidence, source: 'virustotal', indicator: domain });
+
+  } catch (err) {
+    console.error('VirusTotal domain scraper error:', err);
+    return toErrorResult(err, 'VirusTotal');
+  } finally {
+    if (page) {
+      await page.close();
+    }
+  }
+}
+
+/**
+ * Scrape VirusTotal for file hash information
+ * Reads the detection tab for verdicts, then the details tab for names and history
+ * @param {string} hash - The MD5, SHA-1 or SHA-256 hash to look up
+ * @param {object} [options]
+ * @param {function(string): void} [options.onStage] - Progress callback
+ * @param {AbortSignal} [options.signal] - Cancels the scrape and closes its tab
+ * @param {boolean} [options.evidence] - Capture the page as evidence before closing it
+ * @param {boolean} [options.handoff] - Show a challenge page to the user to solve
+ * @param {object} [options.timeouts] - Time budgets in ms, see VIRUSTOTAL_TIMEOUTS
+ * @returns {Promise<object>} Scraped data
+ */
+export async function scrapeVirusTotalFile(hash, options = {}) {
+  const { onStage = () => {}, signal, evidence, handoff, timeouts = VIRUSTOTAL_TIMEOUTS } = options;
+  let page = null;
+
+  try {
+    page = await openVirusTotalPage(`https://www.virustotal.com/gui/file/${hash}/detection`, {
+      onStage,
+      signal,
+      handoff,
+      timeouts,
+      api: API_PATTERNS.file
+    });
+    const attributes = await readReportJson(page, API_PATTERNS.file, timeouts.response);
+
+    const detection = await page.extract(snapshotVirusTotal, parseVirusTotalFile, {
+      helpers: PARSE_HELPERS,
+      args: [SELECTED_VENDORS]
+    });
+
+    // The detection tab holds the vendor verdicts, so it is the one kept as evidence
+    const result = await attachEvidence(page, detection, { enabled: evidence, source: 'virustotal', indicator: hash });
+
+    // The report JSON carries the details tab's fields; only open the tab without it
+    if (attributes) {
+      return mergeReport(result, fileFromJson(attributes));
+    }
+
+    if (result.warning) {
+      return result;
     }
 
-    // Try to extract data using various selectors
-    // VirusTotal's DOM structure can vary, so we try multiple approaches
-    const data = await page.evaluate(`
-      (function() {
-        // Helper to traverse shadow DOM
-        function getAllTextContent(root = document.body) {
-          let text = '';
-          function traverse(node) {
-            if (node.shadowRoot) {
-              traverse(node.shadowRoot);
-            }
-            if (node.nodeType === Node.TEXT_NODE) {
-              text += node.textContent + ' ';
-            }
-            if (node.childNodes) {
-              for (const child of node.childNodes) {
-                traverse(child);
-              }
-            }
-          }
-          traverse(root);
-          return text;
-        }
-
-        const pageText = getAllTextContent();
-        // Normalize whitespace for easier pattern matching
-        const normalizedText = pageText.replace(/\\s+/g, ' ').trim();
-
-        const result = {
-          detections: null,
-          reputation: null,
-          lastAnalysis: null,
-          asOwner: null,
-          country: null,
-          warning: null
-        };
-
-        // Check for CAPTCHA or challenge page (use normalized text for matching)
-        // Be very specific to avoid false positives - only trigger on actual CAPTCHA pages
-        const hasCaptcha = document.querySelector('.g-recaptcha[data-sitekey], #captcha-container');
-
-        if (hasCaptcha) {
-          result.warning = 'CAPTCHA or verification required - please visit VirusTotal directly';
-          return result;
-        }
-
-        // Check if page loaded properly (use normalized length)
-        if (normalizedText.length < 500) {
-          result.warning = 'Page did not load properly - VirusTotal may be blocking automated access';
-          return result;
-        }
-
-        // Try to find detection stats using multiple patterns
-        // VT shows format like "0 / 94" or "1/94 security vendors"
-        const detectionPatterns = [
-          /(\\d+)\\s*\\/\\s*(\\d+)\\s*(?:security\\s+vendors?|engines?)/i,
-          /(\\d+)\\s*\\/\\s*(\\d+)/,  // Simple X/Y format
-          /(\\d+)\\s+security\\s+vendors?.*(?:flagged|detected|malicious)/i,
-          /flagged.*?(\\d+)\\s*\\/\\s*(\\d+)/i,
-          /(\\d+)\\s*malicious/i
-        ];
-
-        for (const pattern of detectionPatterns) {
-          const match = normalizedText.match(pattern);
-          if (match) {
-            if (match[2]) {
-              result.detections = {
-                malicious: parseInt(match[1]),
-                total: parseInt(match[2])
-              };
-            } else {
-              result.detections = {
-                malicious: parseInt(match[1]),
-                total: null
-              };
-            }
-            break;
-          }
-        }
-
-        // Look for detection in specific elements
-        if (!result.detections) {
-          const widgets = document.querySelectorAll('vt-ui-detections-widget, [class*="detection"], [class*="positives"], [class*="malicious"]');
-          widgets.forEach(el => {
-            if (!result.detections) {
-              const text = el.textContent;
-              const match = text.match(/(\\d+)\\s*\\/\\s*(\\d+)/);
-              if (match) {
-                result.detections = {
-                  malicious: parseInt(match[1]),
-                  total: parseInt(match[2])
-                };
-              }
-            }
-          });
-        }
-
-        // Try to find reputation score
-        const repPatterns = [
-          /reputation[:\\s]+(-?\\d+)/i,
-          /community\\s+score[:\\s]+(-?\\d+)/i
-        ];
-
-        for (const pattern of repPatterns) {
-          const match = normalizedText.match(pattern);
-          if (match) {
-            result.reputation = parseInt(match[1]);
-            break;
-          }
-        }
-
-        // Look for reputation in specific elements
-        if (result.reputation === null) {
-          const repElements = document.querySelectorAll('[class*="reputation"], [class*="score"], vt-ui-community-score');
-          repElements.forEach(el => {
-            if (result.reputation === null) {
-              const text = el.textContent;
-              const match = text.match(/(-?\\d+)/);
-              if (match && text.toLowerCase().includes('reputation') || text.toLowerCase().includes('score')) {
-                result.reputation = parseInt(match[1]);
-              }
-            }
-          });
-        }
-
-        // Try to find last analysis date
-        const datePatterns = [
-          /last\\s+analysis[:\\s]+([\\d-]+)/i,
-          /analyzed[:\\s]+([\\d-]+)/i,
-          /(\\d{4}-\\d{2}-\\d{2})/
-        ];
-
-        for (const pattern of datePatterns) {
-          const match = normalizedText.match(pattern);
-          if (match) {
-            result.lastAnalysis = match[1].substring(0, 10);
-            break;
-          }
-        }
-
-        // Look for time elements
-        if (!result.lastAnalysis) {
-          const timeEls = document.querySelectorAll('time, [datetime]');
-          timeEls.forEach(el => {
-            if (!result.lastAnalysis) {
-              const datetime = el.getAttribute('datetime') || el.textContent;
-              if (datetime && datetime.match(/\\d{4}/)) {
-                result.lastAnalysis = datetime.trim().substring(0, 10);
-              }
-            }
-          });
-        }
-
-        // Try to find AS owner - VT format: "AS 15169 ( GOOGLE )"
-        const asPatterns = [
-          /AS\\s*(\\d+)\\s*\\(\\s*([^)]+)\\s*\\)/i,  // AS 15169 ( GOOGLE )
-          /AS\\s*(\\d+)\\s+([A-Za-z][A-Za-z0-9\\s]{2,30})/,
-          /autonomous\\s+system[:\\s]+([^\\n]+)/i,
-          /ASN[:\\s]+([^\\n]+)/i
-        ];
-
-        for (const pattern of asPatterns) {
-          const match = normalizedText.match(pattern);
-          if (match) {
-            // If we matched the parentheses format, use group 2 (name), otherwise group 1
-            result.asOwner = (match[2] || match[1]).trim();
-            break;
-          }
-        }
-
-        // Try to find country - VT shows country code like "US" after AS info
-        // Format: "AS 15169 ( GOOGLE ) US"
-        const countryPatterns = [
-          /\\(\\s*[A-Z]+\\s*\\)\\s+([A-Z]{2})\\s/,  // After AS owner in parens: ") US "
-          /country[:\\s]+([A-Za-z\\s]+)/i,
-          /located\\s+in[:\\s]+([A-Za-z\\s]+)/i
-        ];
-
-        for (const pattern of countryPatterns) {
-          const match = normalizedText.match(pattern);
-          if (match) {
-            result.country = match[1].trim().split(' ')[0];
-            break;
-          }
-        }
-
-        // Look for country flags
-        if (!result.country) {
-          const flagEl = document.querySelector('[class*="flag"], img[alt*="flag"]');
-          if (flagEl) {
-            const alt = flagEl.getAttribute('alt') || flagEl.getAttribute('title') || '';
-            if (alt) result.country = alt.replace(/flag/i, '').trim();
-          }
-        }
-
-        // Check if we got any useful data
-        const hasData = result.detections || result.reputation !== null || result.asOwner || result.country;
-        if (!hasData && !result.warning) {
-          result.warning = 'Limited data extracted - VirusTotal may require login or page structure changed';
-        }
-
-        return result;
-      })()
-    `);
-
-    return data;
+    await navigateVirusTotal(page, `https://www.virustotal.com/gui/file/${hash}/details`, {
+      onStage,
+      ready: FILE_DETAILS_READY,
+      handoff,
+      timeouts
+    });
+
+    const details = await page.extract(snapshotVirusTotal, parseVirusTotalFileDetails, { helpers: PARSE_HELPERS });
+
+    Object.assign(result, details);
+
+    if (!result.detections && !result.fileType && !result.names.length) {
+      result.warning = 'Limited data extracted - VirusTotal may require login or page structure changed';
+    }
+
+    return result;
 
   } catch (err) {
-    console.error('VirusTotal scraper error:', err);
-    return {
-      error: err.message || 'Failed to scrape VirusTotal'
-    };
+    console.error('VirusTotal file scraper error:', err);
+    return toErrorResult(err, 'VirusTotal');
   } finally {
     if (page) {
       await page.close();
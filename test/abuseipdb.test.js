@@ -0,0 +1,66 @@
+/**
+ * AbuseIPDB parser tests
+ * Run with `node --test test/`. To refresh a fixture, open the check page in a
+ * browser, paste snapshotAbuseIPDB() from parsers/abuseipdb.js into the
+ * DevTools console and save what copy(snapshotAbuseIPDB()) puts on the clipboard.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { REPORT_CATEGORIES, parseAbuseIPDB, parseAbuseIPDBDomain } from '../parsers/abuseipdb.js';
+import { loadFixture, runExtraction } from './helpers.js';
+
+const DOMAIN_EXTRACTION = { helpers: [parseAbuseIPDB], args: [REPORT_CATEGORIES] };
+
+test('reads a reported IP address', () => {
+  const result = runExtraction(loadFixture('abuseipdb/ip.json'), parseAbuseIPDB);
+
+  assert.deepEqual(result, {
+    confidenceScore: 100,
+    totalReports: 847,
+    lastReported: null,
+    isp: 'Stiftung Erneuerbare Freiheit',
+    usageType: 'Data Center/Web Hosting/Transit',
+    domain: 'for-privacy.net',
+    countryCode: 'Germany',
+    hostname: 'tor-exit.for-privacy.net',
+    warning: null
+  });
+});
+
+test('reports an address missing from the database as clean', () => {
+  const result = runExtraction(loadFixture('abuseipdb/ip-not-found.json'), parseAbuseIPDB);
+
+  assert.equal(result.confidenceScore, 0);
+  assert.equal(result.totalReports, 0);
+  assert.equal(result.warning, 'IP not found in AbuseIPDB database');
+});
+
+test('flags a CAPTCHA page as limited data', () => {
+  const result = runExtraction(loadFixture('abuseipdb/ip-captcha.json'), parseAbuseIPDB);
+
+  assert.equal(result.confidenceScore, null);
+  assert.equal(result.totalReports, null);
+  assert.equal(result.isp, null);
+  assert.equal(result.warning, 'Limited data extracted - page may require interaction or structure changed');
+});
+
+test('reads a domain report with the resolved address and categories', () => {
+  const result = runExtraction(loadFixture('abuseipdb/domain.json'), parseAbuseIPDBDomain, DOMAIN_EXTRACTION);
+
+  assert.equal(result.resolvedIP, '142.250.80.46');
+  assert.equal(result.confidenceScore, 0);
+  assert.equal(result.totalReports, 12);
+  assert.equal(result.isp, 'Google LLC');
+  assert.equal(result.countryCode, 'United States of America');
+  assert.deepEqual(result.categories, ['Port Scan', 'Hacking', 'Brute-Force', 'SSH']);
+  assert.equal(result.warning, null);
+});
+
+test('reports a domain that does not resolve', () => {
+  const result = runExtraction(loadFixture('abuseipdb/domain-unresolvable.json'), parseAbuseIPDBDomain, DOMAIN_EXTRACTION);
+
+  assert.equal(result.resolvedIP, null);
+  assert.deepEqual(result.categories, []);
+  assert.equal(result.warning, 'Domain does not resolve - AbuseIPDB has no address to report on');
+});
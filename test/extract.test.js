@@ -0,0 +1,60 @@
+/**
+ * IOC extraction tests
+ * Run with `node --test test/`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractIndicators, refang } from '../lib/extract.js';
+
+test('refangs common defanging conventions', () => {
+  assert.equal(refang('1[.]2(.)3{.}4'), '1.2.3.4');
+  assert.equal(refang('evil[dot]com and evil(DOT)net'), 'evil.com and evil.net');
+  assert.equal(refang('hxxps[://]evil[.]com/path'), 'https://evil.com/path');
+  assert.equal(refang('HXXP://evil[.]com'), 'http://evil.com');
+  assert.equal(refang('user[at]evil[.]com'), 'user@evil.com');
+  assert.equal(refang('fxp://files[.]evil[.]com'), 'ftp://files.evil.com');
+  assert.equal(refang(null), '');
+});
+
+test('extracts defanged indicators in order of appearance', () => {
+  const text = `
+    The dropper (SHA-256 E3B0C44298FC1C149AFBF4C8996FB92427AE41E4649B934CA495991B7852B855)
+    beacons to hxxps://c2[.]evil-domain[.]com/gate.php and 45[.]33[.]32[.]156,
+    falling back to 2001:0DB8:85A3::8A2E:0370:7334 and bücher[.]de.
+  `;
+
+  assert.deepEqual(extractIndicators(text).indicators, [
+    { type: 'hash', value: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855' },
+    { type: 'domain', value: 'c2.evil-domain.com' },
+    { type: 'ip', value: '45.33.32.156' },
+    { type: 'domain', value: 'xn--bcher-kva.de' }
+  ]);
+});
+
+test('leaves out private addresses, special-use names and file names', () => {
+  const { indicators, dropped } = extractIndicators(
+    'Staged on 10.0.0.5 and 192.168.1.10, fetched payload.exe and report.pdf via ' +
+    'update.internal, test.example.com and localhost; exfiltrated to 8.8.8.8'
+  );
+
+  assert.deepEqual(indicators, [{ type: 'ip', value: '8.8.8.8' }]);
+  assert.equal(dropped, 6);
+});
+
+test('reports each indicator once, whatever form it appears in', () => {
+  const { indicators } = extractIndicators(
+    'evil[.]com EVIL.com evil.com. 2606:4700:0:0:0:0:0:1111 2606:4700::1111 8.8.8.8 8[.]8[.]8[.]8'
+  );
+
+  assert.deepEqual(indicators, [
+    { type: 'domain', value: 'evil.com' },
+    { type: 'ip', value: '2606:4700::1111' },
+    { type: 'ip', value: '8.8.8.8' }
+  ]);
+});
+
+test('does not split longer numbers or hex strings into indicators', () => {
+  const { indicators } = extractIndicators('Version 1.2.3.4.5 and build ' + 'f'.repeat(50));
+  assert.deepEqual(indicators, []);
+});
@@ -0,0 +1,34 @@
+/**
+ * Test Helpers
+ * Runs the parsers against saved page snapshots the way Page.extract runs
+ * them in a tab: as one expression built by extractionExpression(), evaluated
+ * in a fresh context where nothing from the parser's module is in scope.
+ */
+
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { extractionExpression } from '../lib/inject.js';
+
+/**
+ * Load a page snapshot saved under test/fixtures
+ * @param {string} name - Path below test/fixtures, e.g. 'virustotal/ip.json'
+ * @returns {object} The snapshot
+ */
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(`fixtures/${name}`, import.meta.url), 'utf8'));
+}
+
+/**
+ * Parse a saved snapshot through the injected expression
+ * @param {object} snapshot - A fixture, standing in for the snapshot function's output
+ * @param {function(object, ...*): object} parse - The parse function under test
+ * @param {object} [options] - Helpers and args, as passed to Page.extract
+ * @returns {object} The parsed result
+ */
+export function runExtraction(snapshot, parse, options) {
+  const takeSnapshot = new Function(`return ${JSON.stringify(snapshot)};`);
+  const result = vm.runInNewContext(extractionExpression(takeSnapshot, parse, options), { console });
+  // Re-create the result in this realm so deepStrictEqual compares it by value,
+  // as Runtime.evaluate's returnByValue does
+  return JSON.parse(JSON.stringify(result));
+}
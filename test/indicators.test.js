@@ -0,0 +1,93 @@
+/**
+ * Indicator detection tests
+ * Run with `node --test test/`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  canonicalizeIP,
+  canonicalizeDomain,
+  canonicalizeHash,
+  detectIndicator,
+  findIndicator,
+  isReservedIP,
+  parseIndicatorList
+} from '../lib/indicators.js';
+
+test('writes IPv6 addresses in RFC 5952 form', () => {
+  assert.equal(canonicalizeIP('2001:0DB8:0000:0000:0000:0000:0000:0001'), '2001:db8::1');
+  assert.equal(canonicalizeIP('[2001:db8::1]'), '2001:db8::1');
+  // The longest run of zeros is compressed, the first one on a tie
+  assert.equal(canonicalizeIP('2001:db8:0:0:1:0:0:1'), '2001:db8::1:0:0:1');
+  assert.equal(canonicalizeIP('2001:0:0:1:0:0:0:1'), '2001:0:0:1::1');
+  // A single zero group is not compressed
+  assert.equal(canonicalizeIP('2001:db8:0:1:1:1:1:1'), '2001:db8:0:1:1:1:1:1');
+  assert.equal(canonicalizeIP('0:0:0:0:0:0:0:0'), '::');
+  assert.equal(canonicalizeIP('::FFFF:c000:0280'), '::ffff:192.0.2.128');
+});
+
+test('drops leading zeros from IPv4 addresses', () => {
+  assert.equal(canonicalizeIP(' 008.008.008.008 '), '8.8.8.8');
+  assert.equal(canonicalizeIP('256.1.1.1'), null);
+});
+
+test('rejects malformed IPv6 addresses', () => {
+  assert.equal(canonicalizeIP('2001:db8::1::2'), null);
+  assert.equal(canonicalizeIP('1:2:3:4:5:6:7:8:9'), null);
+  assert.equal(canonicalizeIP('2001:db8::g'), null);
+});
+
+test('converts internationalized domains to punycode', () => {
+  assert.equal(canonicalizeDomain('Bücher.Example.'), 'xn--bcher-kva.example');
+  assert.equal(canonicalizeDomain('xn--bcher-kva.example'), 'xn--bcher-kva.example');
+  assert.equal(canonicalizeDomain('EVIL.com.'), 'evil.com');
+});
+
+test('rejects things that are not domains', () => {
+  assert.equal(canonicalizeDomain('localhost'), null);
+  assert.equal(canonicalizeDomain('http://evil.com'), null);
+  assert.equal(canonicalizeDomain('user@evil.com'), null);
+  assert.equal(canonicalizeDomain('1.2.3.4'), null);
+});
+
+test('lowercases hashes and checks their length', () => {
+  assert.equal(canonicalizeHash('D41D8CD98F00B204E9800998ECF8427E'), 'd41d8cd98f00b204e9800998ecf8427e');
+  assert.equal(canonicalizeHash('d41d8cd98f00b204e9800998ecf842'), null);
+});
+
+test('detects the indicator type', () => {
+  assert.deepEqual(detectIndicator('2001:DB8::1'), { type: 'ip', value: '2001:db8::1' });
+  assert.deepEqual(detectIndicator('Evil.com'), { type: 'domain', value: 'evil.com' });
+  assert.deepEqual(
+    detectIndicator('DA39A3EE5E6B4B0D3255BFEF95601890AFD80709'),
+    { type: 'hash', value: 'da39a3ee5e6b4b0d3255bfef95601890afd80709' }
+  );
+  assert.equal(detectIndicator('not an indicator'), null);
+});
+
+test('flags private and reserved addresses', () => {
+  assert.equal(isReservedIP('10.1.2.3'), true);
+  assert.equal(isReservedIP('100.64.0.1'), true);
+  assert.equal(isReservedIP('8.8.8.8'), false);
+  assert.equal(isReservedIP('fe80::1'), true);
+  assert.equal(isReservedIP('::ffff:192.168.1.1'), true);
+  assert.equal(isReservedIP('2606:4700::1111'), false);
+});
+
+test('parses a list, dropping duplicates in any form', () => {
+  const { indicators, invalid } = parseIndicatorList('"8.8.8.8", 2001:db8::1;\n2001:0db8:0:0:0:0:0:1 EVIL.com evil.com. nope');
+
+  assert.deepEqual(indicators, [
+    { type: 'ip', value: '8.8.8.8' },
+    { type: 'ip', value: '2001:db8::1' },
+    { type: 'domain', value: 'evil.com' }
+  ]);
+  assert.deepEqual(invalid, ['nope']);
+});
+
+test('finds the first indicator in a sentence', () => {
+  assert.deepEqual(findIndicator('Blocked traffic to (1.2.3.4) yesterday'), { type: 'ip', value: '1.2.3.4' });
+  assert.deepEqual(findIndicator('Beacons to evil.com.'), { type: 'domain', value: 'evil.com' });
+  assert.equal(findIndicator('nothing to see here'), null);
+});
@@ -0,0 +1,39 @@
+/**
+ * IPInfo parser tests
+ * Run with `node --test test/`. To refresh a fixture, open the IP page in a
+ * browser, paste snapshotIPInfo() from parsers/ipinfo.js into the DevTools
+ * console and save what copy(snapshotIPInfo()) puts on the clipboard.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIPInfo } from '../parsers/ipinfo.js';
+import { loadFixture, runExtraction } from './helpers.js';
+
+test('reads an IP page from its JSON-LD and text', () => {
+  const result = runExtraction(loadFixture('ipinfo/ip.json'), parseIPInfo);
+
+  assert.deepEqual(result, {
+    city: 'Mountain View',
+    region: 'California',
+    country: 'US',
+    org: 'Google LLC',
+    asn: 'AS15169',
+    hostname: 'dns.google',
+    postal: '94043',
+    timezone: 'America/Los_Angeles',
+    loc: '37.4056,-122.0775',
+    network: '8.8.8.0/24',
+    asnType: 'hosting',
+    hosting: true,
+    warning: null
+  });
+});
+
+test('flags a CAPTCHA page as limited data', () => {
+  const result = runExtraction(loadFixture('ipinfo/ip-captcha.json'), parseIPInfo);
+
+  assert.equal(result.city, null);
+  assert.equal(result.asn, null);
+  assert.equal(result.warning, 'Limited data extracted - page structure may have changed');
+});
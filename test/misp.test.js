@@ -0,0 +1,100 @@
+/**
+ * MISP export tests
+ * Run with `node --test test/`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMispEvent, toMISP } from '../lib/misp.js';
+
+const TIMESTAMP = Date.UTC(2026, 9, 12, 8, 30);
+
+const IP_RECORD = {
+  indicator: '8.8.8.8',
+  type: 'ip',
+  timestamp: TIMESTAMP,
+  risk: { verdict: 'malicious', score: 80, reasons: [] },
+  results: {
+    virustotal: { detections: { malicious: 7, total: 94 }, threatLabel: 'trojan.agent' },
+    abuseipdb: { confidenceScore: 100 },
+    ipinfo: { asn: 'AS15169', org: 'Google LLC' }
+  }
+};
+
+/**
+ * Drop the random UUIDs so attributes compare by value
+ * @param {object[]} attributes - MISP attributes
+ * @returns {object[]}
+ */
+function withoutUuids(attributes) {
+  return attributes.map(({ uuid, ...attribute }) => attribute);
+}
+
+test('builds an attribute per indicator and its AS', () => {
+  const { Event: event } = buildMispEvent([IP_RECORD]);
+
+  assert.deepEqual(withoutUuids(event.Attribute), [
+    {
+      type: 'ip-dst',
+      category: 'Network activity',
+      value: '8.8.8.8',
+      to_ids: true,
+      comment: 'Verdict malicious (80/100), VT 7/94, trojan.agent, AbuseIPDB 100%',
+      timestamp: '1791793800',
+      Tag: [
+        { name: 'postevent-osint:verdict="malicious"' },
+        { name: 'postevent-osint:source="virustotal"' },
+        { name: 'postevent-osint:source="abuseipdb"' },
+        { name: 'postevent-osint:source="ipinfo"' }
+      ]
+    },
+    {
+      type: 'AS',
+      category: 'Network activity',
+      value: '15169',
+      to_ids: false,
+      comment: 'AS of 8.8.8.8 (Google LLC)',
+      timestamp: '1791793800'
+    }
+  ]);
+  event.Attribute.forEach(attribute => assert.match(attribute.uuid, /^[0-9a-f-]{36}$/));
+});
+
+test('types hashes and domains, and keeps failed sources out of the tags', () => {
+  const { Event: event } = buildMispEvent([
+    { indicator: 'd41d8cd98f00b204e9800998ecf8427e', type: 'hash', results: { virustotal: { error: 'Blocked' } } },
+    {
+      indicator: 'evil.com',
+      type: 'domain',
+      risk: { verdict: 'benign', score: 0, reasons: [] },
+      results: { abuseipdb: { resolvedIP: '1.2.3.4', confidenceScore: 0 } }
+    }
+  ]);
+
+  assert.deepEqual(event.Attribute.map(({ type, category, value, to_ids }) => ({ type, category, value, to_ids })), [
+    { type: 'md5', category: 'Payload delivery', value: 'd41d8cd98f00b204e9800998ecf8427e', to_ids: false },
+    { type: 'domain', category: 'Network activity', value: 'evil.com', to_ids: false },
+    { type: 'ip-dst', category: 'Network activity', value: '1.2.3.4', to_ids: false }
+  ]);
+  assert.deepEqual(event.Attribute[0].Tag, [{ name: 'postevent-osint:verdict="unknown"' }]);
+  assert.equal(event.Attribute[2].comment, 'Resolved from evil.com');
+});
+
+test('rates the event by its worst verdict and keeps shared attributes once', () => {
+  const { Event: event } = buildMispEvent([
+    { ...IP_RECORD, indicator: '8.8.4.4', risk: { verdict: 'benign', score: 0, reasons: [] } },
+    IP_RECORD
+  ]);
+
+  assert.equal(event.info, 'PostEvent OSINT lookups: 2 indicators');
+  assert.equal(event.threat_level_id, '1');
+  assert.equal(event.published, false);
+  assert.deepEqual(event.Tag, [{ name: 'tlp:amber' }, { name: 'postevent-osint:verdict="malicious"' }]);
+  assert.deepEqual(event.Attribute.map(attribute => attribute.value), ['8.8.4.4', '15169', '8.8.8.8']);
+});
+
+test('serializes the event as JSON', () => {
+  const { Event: event } = JSON.parse(toMISP([IP_RECORD]));
+  assert.equal(event.info, 'PostEvent OSINT lookup: 8.8.8.8');
+  assert.equal(event.Attribute.length, 2);
+});
@@ -0,0 +1,122 @@
+/**
+ * STIX export tests
+ * Run with `node --test test/`. Expected observable IDs were worked out
+ * independently with Python's uuid.uuid5 over the SCO namespace.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildStixBundle, toSTIX } from '../lib/stix.js';
+
+const TIMESTAMP = Date.UTC(2026, 9, 12, 8, 30);
+
+const IP_RECORD = {
+  indicator: '8.8.8.8',
+  type: 'ip',
+  timestamp: TIMESTAMP,
+  risk: { verdict: 'suspicious', score: 45, reasons: [{ text: 'AbuseIPDB confidence 60%' }] },
+  results: {
+    virustotal: { detections: { malicious: 3, total: 94 }, reputation: -12, asOwner: 'GOOGLE' },
+    abuseipdb: { confidenceScore: 60, totalReports: 12, isp: 'Google LLC' },
+    ipinfo: { asn: 'AS15169', org: 'Google LLC' }
+  }
+};
+
+/**
+ * Find the objects of one type in a bundle
+ * @param {object} bundle - The STIX bundle
+ * @param {string} type - The object type
+ * @returns {object[]}
+ */
+function objectsOf(bundle, type) {
+  return bundle.objects.filter(object => object.type === type);
+}
+
+test('gives observables their deterministic IDs', async () => {
+  const bundle = await buildStixBundle([
+    IP_RECORD,
+    { indicator: '2001:db8::1', type: 'ip', timestamp: TIMESTAMP, results: {} },
+    { indicator: 'evil.com', type: 'domain', timestamp: TIMESTAMP, results: {} },
+    { indicator: 'a'.repeat(64), type: 'hash', timestamp: TIMESTAMP, results: {} }
+  ]);
+
+  assert.deepEqual(objectsOf(bundle, 'ipv4-addr').map(object => object.id), [
+    'ipv4-addr--2f689bf9-0ff2-545f-aa61-e495eb8cecc7'
+  ]);
+  assert.deepEqual(objectsOf(bundle, 'ipv6-addr').map(object => object.id), [
+    'ipv6-addr--6469e3a9-b053-5e34-a025-9396ae051d26'
+  ]);
+  assert.deepEqual(objectsOf(bundle, 'domain-name').map(object => object.id), [
+    'domain-name--5d7b159c-1821-5595-b1f7-2213ba2674e6'
+  ]);
+  assert.deepEqual(objectsOf(bundle, 'file'), [{
+    type: 'file',
+    spec_version: '2.1',
+    id: 'file--75cb38d5-2055-5354-b75a-8299a2d670b5',
+    hashes: { 'SHA-256': 'a'.repeat(64) }
+  }]);
+  assert.deepEqual(objectsOf(bundle, 'autonomous-system'), [{
+    type: 'autonomous-system',
+    spec_version: '2.1',
+    id: 'autonomous-system--7afc7bdf-d070-5add-90ff-f93503b1654d',
+    number: 15169,
+    name: 'Google LLC'
+  }]);
+});
+
+test('builds the indicator, notes and opinions for a lookup', async () => {
+  const bundle = await buildStixBundle([IP_RECORD]);
+  const address = objectsOf(bundle, 'ipv4-addr')[0];
+  const [indicator] = objectsOf(bundle, 'indicator');
+
+  assert.equal(bundle.type, 'bundle');
+  assert.match(bundle.id, /^bundle--[0-9a-f-]{36}$/);
+  assert.equal(bundle.objects[0].type, 'identity');
+
+  assert.equal(indicator.pattern, "[ipv4-addr:value = '8.8.8.8']");
+  assert.equal(indicator.pattern_type, 'stix');
+  assert.deepEqual(indicator.indicator_types, ['anomalous-activity']);
+  assert.equal(indicator.valid_from, '2026-10-12T08:30:00.000Z');
+  assert.equal(indicator.created_by_ref, bundle.objects[0].id);
+
+  assert.deepEqual(objectsOf(bundle, 'relationship').map(object => [object.relationship_type, object.source_ref]), [
+    ['belongs-to', address.id]
+  ]);
+  assert.deepEqual(objectsOf(bundle, 'note').map(note => note.abstract), ['VirusTotal detections', 'AbuseIPDB confidence']);
+  assert.deepEqual(objectsOf(bundle, 'opinion').map(opinion => opinion.opinion), ['agree', 'agree']);
+  objectsOf(bundle, 'opinion').forEach(opinion => {
+    assert.deepEqual(opinion.object_refs, [indicator.id, address.id]);
+  });
+});
+
+test('includes an observable shared between lookups once', async () => {
+  const bundle = await buildStixBundle([
+    IP_RECORD,
+    { ...IP_RECORD, indicator: '8.8.4.4', results: { ipinfo: IP_RECORD.results.ipinfo } }
+  ]);
+
+  assert.equal(objectsOf(bundle, 'autonomous-system').length, 1);
+  assert.equal(objectsOf(bundle, 'ipv4-addr').length, 2);
+  assert.equal(new Set(bundle.objects.map(object => object.id)).size, bundle.objects.length);
+});
+
+test('links a domain to the address it resolved to', async () => {
+  const bundle = await buildStixBundle([{
+    indicator: 'evil.com',
+    type: 'domain',
+    timestamp: TIMESTAMP,
+    results: { abuseipdb: { resolvedIP: '8.8.8.8', confidenceScore: null }, virustotal: { error: 'Timed out' } }
+  }]);
+  const [relationship] = objectsOf(bundle, 'relationship');
+
+  assert.equal(relationship.relationship_type, 'resolves-to');
+  assert.equal(relationship.target_ref, 'ipv4-addr--2f689bf9-0ff2-545f-aa61-e495eb8cecc7');
+  assert.equal(objectsOf(bundle, 'note').length, 0);
+  assert.deepEqual(objectsOf(bundle, 'indicator')[0].indicator_types, ['unknown']);
+});
+
+test('serializes the bundle as JSON', async () => {
+  const bundle = JSON.parse(await toSTIX([IP_RECORD]));
+  assert.equal(bundle.type, 'bundle');
+  assert.equal(objectsOf(bundle, 'indicator').length, 1);
+});
@@ -0,0 +1,92 @@
+/**
+ * VirusTotal parser tests
+ * Run with `node --test test/`. To refresh a fixture, open the report in a
+ * browser, paste snapshotVirusTotal() from parsers/virustotal.js into the
+ * DevTools console and save what copy(snapshotVirusTotal()) puts on the clipboard.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SELECTED_VENDORS,
+  PARSE_HELPERS,
+  parseVirusTotalIP,
+  parseVirusTotalDomain,
+  parseVirusTotalFile,
+  parseVirusTotalFileDetails
+} from '../parsers/virustotal.js';
+import { loadFixture, runExtraction } from './helpers.js';
+
+test('reads an IP address report', () => {
+  const result = runExtraction(loadFixture('virustotal/ip.json'), parseVirusTotalIP, { helpers: PARSE_HELPERS });
+
+  assert.deepEqual(result, {
+    detections: { malicious: 0, total: 94 },
+    reputation: -12,
+    lastAnalysis: '2026-10-12',
+    asOwner: 'GOOGLE',
+    country: 'US',
+    network: '8.8.8.0/24',
+    warning: null
+  });
+});
+
+test('reports a CAPTCHA page instead of parsing it', () => {
+  const result = runExtraction(loadFixture('virustotal/ip-captcha.json'), parseVirusTotalIP, { helpers: PARSE_HELPERS });
+
+  assert.equal(result.warning, 'CAPTCHA or verification required - please visit VirusTotal directly');
+  assert.equal(result.detections, null);
+  assert.equal(result.asOwner, null);
+});
+
+test('reads a domain report from the details tab', () => {
+  const result = runExtraction(loadFixture('virustotal/domain.json'), parseVirusTotalDomain, { helpers: PARSE_HELPERS });
+
+  assert.deepEqual(result.detections, { malicious: 0, total: 94 });
+  assert.equal(result.reputation, 215);
+  assert.equal(result.registrar, 'MarkMonitor, Inc.');
+  assert.equal(result.creationDate, '1997-09-15');
+  assert.deepEqual(result.categories, ['search engines and portals', 'search engines', 'search engines/portals']);
+  assert.equal(result.dnsRecords.length, 6);
+  assert.deepEqual(result.dnsRecords[0], { type: 'A', ttl: 300, value: '142.250.80.46' });
+  assert.deepEqual(result.dnsRecords[5], { type: 'TXT', ttl: 3600, value: 'v=spf1 include:_spf.google.com ~all' });
+  assert.equal(result.warning, null);
+});
+
+test('reads a file report with the selected vendor verdicts', () => {
+  const result = runExtraction(loadFixture('virustotal/file.json'), parseVirusTotalFile, {
+    helpers: PARSE_HELPERS,
+    args: [SELECTED_VENDORS]
+  });
+
+  assert.deepEqual(result.detections, { malicious: 58, total: 72 });
+  assert.equal(result.threatLabel, 'trojan.emotet/tlrs');
+  assert.equal(result.vendorVerdicts.Microsoft, 'Trojan:Win32/Emotet!ml');
+  assert.equal(result.vendorVerdicts['CrowdStrike Falcon'], 'Win/malicious_confidence_100% (W)');
+  // Unlisted vendors and listed ones missing from the page are left out
+  assert.equal(Object.keys(result.vendorVerdicts).length, 8);
+  assert.equal(result.vendorVerdicts.Avast, undefined);
+  assert.equal(result.warning, null);
+});
+
+test('reports an unknown file as not found', () => {
+  const result = runExtraction(loadFixture('virustotal/file-not-found.json'), parseVirusTotalFile, {
+    helpers: PARSE_HELPERS,
+    args: [SELECTED_VENDORS]
+  });
+
+  assert.equal(result.warning, 'File not found in VirusTotal');
+  assert.equal(result.detections, null);
+  assert.deepEqual(result.vendorVerdicts, {});
+});
+
+test('reads names and submission dates from the file details tab', () => {
+  const result = runExtraction(loadFixture('virustotal/file-details.json'), parseVirusTotalFileDetails, { helpers: PARSE_HELPERS });
+
+  assert.deepEqual(result, {
+    fileType: 'Win32 EXE',
+    firstSubmission: '2020-11-04',
+    lastSubmission: '2026-09-30',
+    names: ['invoice_0411.exe', 'emotet.exe', '5f1b.tmp']
+  });
+});